@@ -0,0 +1,618 @@
+//addon.js - SHARED CORE: MANIFEST, PROGRESSIVE EXTRACTION, FORMATTING AND CACHING
+// index.js (long-running server) and api/index.js (Vercel) are thin adapters over this.
+const { addonBuilder } = require('stremio-addon-sdk');
+const logger = require('./logger');
+const extractor = require('./unified-extractor');
+const browserPool = require('./browser-pool');
+const { configFields, parseUserConfig, qualityRank } = require('./user-config');
+const { verifyStreams, dropDeadStreams } = require('./stream-verifier');
+const { withExpiry, splitExpired, earliestSafe, cacheTtl } = require('./stream-expiry');
+const { createCache, closeCaches } = require('./cache');
+const Prefetcher = require('./prefetch');
+const Refresher = require('./refresh');
+const InFlight = require('./inflight');
+const scheduler = require('./scheduler');
+const { SchedulerBusyError } = scheduler;
+const providerHealth = require('./provider-health');
+const metadata = require('./metadata');
+const subtitles = require('./subtitles');
+const { ID_PREFIXES, resolveId } = require('./ids');
+const { CATALOGS, recordAvailable, getCatalog } = require('./catalog');
+const { describeVariant } = require('./hls-variants');
+const { rankStreams, providerOf } = require('./ranking');
+const metrics = require('./metrics');
+const logTrail = require('./log-trail');
+const { streamDelivery } = require('./stream-proxy');
+const { version } = require('./package.json');
+
+// ✅ UPDATED SOURCES with all new providers
+const SOURCES = [
+    // { name: 'vidsrc', timeout: 40000, priority: 1 },      // 20s page + 5s buffer
+    { name: 'vidlink', timeout: 20000, priority: 2 },     // 20s page + 5s buffer
+    { name: 'wooflix', timeout: 20000, priority: 3 },     // 20s page + 5s buffer
+    // { name: 'autoembed', timeout: 40000, priority: 4 },   // 20s page + 5s buffer
+    { name: 'vidfast', timeout: 20000, priority: 1 },     // 20s page + 5s buffer
+    // { name: 'mappletv', timeout: 40000, priority: 6 },    // 20s page + 5s buffer
+    { name: 'vilora', timeout: 20000, priority: 7 },      // 20s page + 5s buffer
+    // { name: 'autoembed-hindi', timeout: 40000, priority: 8 }, // 20s page + 5s buffer
+    { name: 'vidify', timeout: 20000, priority: 9 },      // 20s page + 5s buffer
+    { name: 'vidjoy', timeout: 20000, priority: 10 }      // 20s page + 5s buffer
+];
+const SOURCE_NAMES = SOURCES.map(source => source.name);
+
+const builder = new addonBuilder({
+    id: 'org.bytetan.bytewatch',
+    version,
+    name: 'ByteWatch ⚡ Lightning Pro',
+    description: '🚀 Real-time progressive streaming with 10 providers - Results as they arrive!',
+    resources: ['catalog', 'stream', 'subtitles'],
+    types: ['movie', 'series'],
+    catalogs: CATALOGS,
+    logo: 'https://www.bytetan.com/static/img/logo.png',
+    idPrefixes: ID_PREFIXES,
+    config: configFields(SOURCE_NAMES),
+    behaviorHints: {
+        configurable: true,
+        configurationRequired: false
+    }
+});
+
+const streamCache = createCache('streams', { ttl: 3600, maxKeys: 1000 });
+// Longest a title's streams are cached; links with an expiry token get less (stream-expiry.js)
+const STREAM_TTL = { movie: 7200, series: 3600 };
+// Fraction of an entry's TTL after which it is served stale and refreshed (refresh.js)
+const STREAM_SOFT_TTL = parseFloat(process.env.STREAM_SOFT_TTL) || 0.5;
+const failureCache = createCache('failures', { ttl: 300 });
+const inFlight = new InFlight();
+
+function recordProviderMetrics(provider, outcome, startTime) {
+    metrics.providerResults.inc({ provider, outcome });
+    metrics.providerLatency.observe({ provider }, (Date.now() - startTime) / 1000);
+}
+
+// ✅ REAL-TIME PROGRESSIVE extraction with ALL NEW PROVIDERS
+// `force` (admin test runs) runs every requested provider, disabled or failing ones included
+async function extractStreamsProgressively({type, imdbId, season, episode, providers = SOURCE_NAMES, priority = 'interactive', results = {}, force = false}) {
+    const streamResults = {};
+    const progressiveStreams = new Map();
+    const details = await metadata.getTitle(imdbId, type);
+    const title = `${details.title} ${season ? `S${season}E${episode}` : `(${details.year})`}`;
+        
+    const subtitleKey = subtitles.subtitleKey(type, imdbId, season, episode);
+    const failureKey = `failure:${type}:${imdbId}:${season}:${episode}`;
+    const recentFailures = (await failureCache.get(failureKey)) || [];
+    if (priority === 'interactive' && scheduler.saturated()) {
+        throw new SchedulerBusyError(`queue full, not starting ${title}`);
+    }
+
+    const requested = SOURCES.filter(source => providers.includes(source.name));
+    // ✅ Title-level failures first, then provider-level health (circuit breaker + ordering)
+    const activeSources = force ? requested : providerHealth.selectSources(requested.filter(source =>
+        source.enabled !== false && !recentFailures.includes(source.name)
+    ));
+
+    logger.info(`🚀 PROGRESSIVE extraction for: ${title}`);
+    logger.info(`⚡ ${activeSources.length}/10 sources running with REAL-TIME processing: ${activeSources.map(source => source.name).join(', ')}`);
+    
+    // ✅ Stream result handler - processes results as they arrive
+    const streamResultCollector = {
+        results, // shared with requests that joined this extraction (inflight.js)
+        count: 0,
+        _processing: false,
+        add(sourceResults) {
+            if (this._processing) return;
+            this._processing = true;
+            try {
+                Object.assign(this.results, sourceResults);
+                this.count = Object.keys(this.results).length;
+                logger.info(`📈 PROGRESSIVE: Now ${this.count} total streams available`);
+            } finally {
+                this._processing = false;
+            }
+        },
+        // Stored straight away: a provider that timed out may still report them
+        addSubtitles(found) {
+            subtitles.saveSubtitles(subtitleKey, found)
+                .catch(error => logger.warn(`⚠️ Saving subtitles failed for ${subtitleKey}: ${error.message}`));
+        }
+    };
+
+    // ✅ Create extraction promises with ALL PROVIDERS including new ones
+    // Each provider run waits for a scheduler slot; its timeout starts once it runs.
+    // Tagged so an admin test run can show each provider's log lines on their own.
+    const extractionPromises = activeSources.map(source => logTrail.tag(source.name, () => {
+        let sourceStart = Date.now();
+        const job = { provider: source.name, priority, rank: source.priority, timeout: source.timeout };
+        const extractionPromise = scheduler.run(job, () => {
+            sourceStart = Date.now();
+            metrics.providerAttempts.inc({ provider: source.name });
+            // Pass the collector for real-time updates
+            return extractor(source.name, type, imdbId, season, episode, streamResultCollector, { priority });
+        });
+        
+        return extractionPromise
+            .then(result => {
+                if (result && Object.keys(result).length > 0) {
+                    logger.info(`✅ ${source.name} COMPLETED: ${Object.keys(result).length} streams`);
+                    providerHealth.recordSuccess(source.name, Date.now() - sourceStart);
+                    recordProviderMetrics(source.name, 'success', sourceStart);
+                    streamResultCollector.add(result);
+                    return { source: source.name, result, status: 'success' };
+                } else {
+                    logger.warn(`⚠️ ${source.name} completed but no streams found`);
+                    providerHealth.recordEmpty(source.name, Date.now() - sourceStart);
+                    recordProviderMetrics(source.name, 'empty', sourceStart);
+                    return { source: source.name, result: {}, status: 'empty' };
+                }
+            })
+            .catch(error => {
+                if (error instanceof SchedulerBusyError) {
+                    // Never started, so it says nothing about the provider's health,
+                    // but a half-open probe it was carrying must be given back
+                    providerHealth.releaseProbe(source.name);
+                    return { source: source.name, error: error.message, status: 'shed' };
+                }
+                logger.warn(`❌ ${source.name} FAILED: ${error.message}`);
+                providerHealth.recordFailure(source.name, Date.now() - sourceStart, error.message);
+                recordProviderMetrics(source.name, error.message.includes('timeout after') ? 'timeout' : 'failed', sourceStart);
+                return { source: source.name, error: error.message, status: 'failed' };
+            });
+    }));
+
+    // ✅ Process all results concurrently with progress tracking
+    const startTime = Date.now();
+    let completedSources = 0;
+    const newFailures = [];
+    const shedSources = [];
+    
+    try {
+        const results = await Promise.allSettled(extractionPromises);
+                
+        for (const result of results) {
+            completedSources++;
+            const duration = Date.now() - startTime;
+                        
+            if (result.status === 'fulfilled') {
+                const sourceResult = result.value;
+                if (sourceResult.status === 'failed') {
+                    newFailures.push(sourceResult.source);
+                } else if (sourceResult.status === 'shed') {
+                    shedSources.push(sourceResult.source);
+                }
+                                
+                logger.info(`📊 Progress: ${completedSources}/${activeSources.length}, ${streamResultCollector.count} streams, ${duration}ms elapsed`);
+            }
+        }
+
+        // Update failure cache
+        if (newFailures.length > 0) {
+            const allFailures = [...recentFailures, ...newFailures].slice(-3);
+            await failureCache.set(failureKey, allFailures);
+        }
+
+        // HLS subtitle renditions are also listed for the title, not just on their streams
+        const streamSubtitles = Object.values(streamResultCollector.results).flatMap(stream => stream.subtitles || []);
+        await subtitles.saveSubtitles(subtitleKey, subtitles.dedupe(streamSubtitles));
+
+        const finalDuration = Date.now() - startTime;
+        logger.info(`🏁 PROGRESSIVE extraction complete: ${streamResultCollector.count} streams in ${finalDuration}ms`);
+
+        if (streamResultCollector.count === 0 && shedSources.length > 0) {
+            throw new SchedulerBusyError(`${shedSources.length}/${activeSources.length} sources shed for ${title}`);
+        }
+        return streamResultCollector.results;
+    } catch (error) {
+        if (error instanceof SchedulerBusyError) throw error;
+        logger.error(`💥 Progressive extraction error: ${error.message}`);
+        return streamResultCollector.results; // Return whatever we got
+    }
+}
+
+// ✅ Keep only streams inside the user's quality range; unlabelled streams always pass
+function filterStreams(streams, settings) {
+    return Object.entries(streams).filter(([name]) => {
+        if (!settings.providers.includes(providerOf(name))) return false;
+        const rank = qualityRank(name);
+        return rank === -1 || (rank >= settings.minQuality && rank <= settings.maxQuality);
+    });
+}
+
+function formatStreams(streams, details, season = null, episode = null, settings = parseUserConfig(null, SOURCE_NAMES)) {
+    const title = details.title || 'Unknown';
+    const year = details.year || 'Unknown';
+    const episodeLabel = details.episodeTitle ? `S${season}E${episode} - ${details.episodeTitle}` : `S${season}E${episode}`;
+    const displayTitle = season ? `${title} ${episodeLabel}` : `${title} (${year})`;
+    const entries = streams ? filterStreams(streams, settings) : [];
+    
+    if (entries.length === 0) {
+        return [
+            {
+                name: "❌ No Streams Available",
+                url: "https://example.com/unavailable", 
+                description: `No working streams found for ${displayTitle}. Sources may be temporarily down.`
+            }
+        ];
+    }
+
+    // Deduplicated across providers and ordered by ranking.js
+    const sorted = rankStreams(entries, settings);
+
+    return (settings.maxResults ? sorted.slice(0, settings.maxResults) : sorted)
+        .map(([name, stream]) => {
+            const { url, behaviorHints } = streamDelivery(stream);
+            const hdrTag = stream.variant && stream.variant.hdr && !name.includes(stream.variant.hdr) ? ` ${stream.variant.hdr}` : '';
+            const details = stream.variant ? describeVariant(stream.variant) : '';
+            return {
+                name: (name.includes('2160p') || name.includes('1440p') ? `💎 ${name}` :
+                      name.includes('1080p') ? `🔥 ${name}` :
+                      name.includes('720p') ? `⭐ ${name}` :
+                      name.includes('480p') ? `📺 ${name}` :
+                      name.includes('hindi') || name.includes('Hindi') ? `🇮🇳 ${name}` :
+                      `🎥 ${name}`) + hdrTag,
+                url,
+                description: details ? `${displayTitle}\n${details}` : displayTitle,
+                ...(stream.subtitles && { subtitles: stream.subtitles.map(subtitles.toStremioSubtitle) }),
+                behaviorHints: {
+                    ...behaviorHints,
+                    bingeGroup: `${title}-${year}`
+                }
+            };
+        });
+}
+
+// ✅ Only the provider selection changes what gets scraped, so it is the only
+// setting that goes into the cache key. A full-provider entry can serve any subset.
+function streamCacheKey(baseKey, settings) {
+    return settings.allProviders ? baseKey : `${baseKey}:${[...settings.providers].sort().join(',')}`;
+}
+
+// ✅ Verify freshly extracted streams and stamp each with its link expiry
+async function checkStreams(streams) {
+    return withExpiry(await verifyStreams(streams));
+}
+
+// ✅ Cache streams until their last link expires, at most STREAM_TTL. The entry
+// goes stale STREAM_SOFT_TTL of the way there, or when its first link expires.
+async function storeStreams(cacheKey, baseKey, target, streams) {
+    const ttl = cacheTtl(streams, STREAM_TTL[target.type]);
+    if (Object.keys(streams).length === 0 || ttl === 0) return;
+    const staleAt = Math.min(Date.now() + ttl * STREAM_SOFT_TTL * 1000, earliestSafe(streams) || Infinity);
+    await streamCache.set(cacheKey, { streams, staleAt }, ttl);
+    await recordAvailable(baseKey, target, streams, ttl);
+}
+
+// ✅ Re-extract a cached entry in the background and replace it. Registered under
+// the entry's key, so a request that misses in the meantime joins it.
+function revalidate({ cacheKey, baseKey, target, providers }) {
+    const running = inFlight.find([cacheKey]);
+    if (running) return running.promise;
+
+    return inFlight.run(cacheKey, async results => {
+        const streams = await checkStreams(await extractStreamsProgressively({
+            ...target,
+            providers,
+            priority: 'background',
+            results
+        }));
+        await storeStreams(cacheKey, baseKey, target, streams);
+        return streams;
+    });
+}
+
+// ✅ Re-extract only the providers whose links expired, then cache their fresh
+// streams next to the ones that are still valid. One refresh per entry at a time.
+function refreshExpired(cacheKey, baseKey, target, live, expired, priority) {
+    const refreshKey = `refresh:${cacheKey}`;
+    const running = inFlight.find([refreshKey]);
+    if (running) return running.promise;
+
+    const providers = [...new Set(Object.keys(expired).map(providerOf))];
+    logger.info(`⌛ ${Object.keys(expired).length} expired streams in ${cacheKey}, refreshing ${providers.join(', ')}`);
+    return inFlight.run(refreshKey, async results => {
+        const fresh = await checkStreams(await extractStreamsProgressively({ ...target, providers, priority, results }));
+        // A provider that answered replaces all of its streams; one that didn't keeps its live ones
+        const refreshed = new Set(Object.keys(fresh).map(providerOf));
+        const kept = Object.entries(live).filter(([name]) => !refreshed.has(providerOf(name)));
+        const streams = { ...Object.fromEntries(kept), ...fresh };
+        await storeStreams(cacheKey, baseKey, target, streams);
+        return streams;
+    });
+}
+
+// ✅ What a cache entry can serve right now. Links that failed verification or expired
+// since they were cached are never served. When some did expire, only their
+// providers are refreshed behind the response; otherwise a stale entry is refreshed whole.
+async function liveStreams(job) {
+    const { cacheKey, baseKey, target } = job;
+    const entry = await streamCache.get(cacheKey);
+    if (!entry || !entry.streams) return null;
+
+    const { live, expired } = splitExpired(await dropDeadStreams(entry.streams));
+    if (Object.keys(live).length > 0) {
+        if (Object.keys(expired).length > 0) {
+            refreshExpired(cacheKey, baseKey, target, live, expired, 'background')
+                .catch(error => logger.warn(`⚠️ Refreshing ${cacheKey} failed: ${error.message}`));
+        } else if (Date.now() >= entry.staleAt) {
+            refresher.revalidate(cacheKey, job);
+        }
+        return live;
+    }
+    if (Object.keys(expired).length === 0) return live;
+
+    // Nothing left to serve: wait for the refresh, a full extraction follows if it finds nothing
+    return refreshExpired(cacheKey, baseKey, target, live, expired, 'interactive').catch(error => {
+        logger.warn(`⚠️ Refreshing ${cacheKey} failed: ${error.message}`);
+        return {};
+    });
+}
+
+async function getCachedStreams(baseKey, settings, target) {
+    const cacheKey = streamCacheKey(baseKey, settings);
+    const job = { cacheKey, baseKey, target, providers: settings.providers };
+    refresher.recordHit(cacheKey, job);
+
+    const live = await liveStreams(job);
+    if (live && Object.keys(live).length > 0) return live;
+    if (settings.allProviders) return null;
+
+    const sharedLive = await liveStreams({ cacheKey: baseKey, baseKey, target, providers: SOURCE_NAMES });
+    if (sharedLive && filterStreams(sharedLive, settings).length > 0) return sharedLive;
+    return null;
+}
+
+// ✅ Extract, verify and cache, unless the same title is already being extracted:
+// then wait for that run, or take its partial results at the COALESCE_WAIT_MS deadline
+async function extractStreams(baseKey, cacheKey, settings, extraction) {
+    // A full-provider run can serve any subset, same as the cache
+    const running = inFlight.find(settings.allProviders ? [cacheKey] : [cacheKey, baseKey]);
+    if (running) {
+        metrics.coalescedRequests.inc({ type: extraction.type });
+        logger.info(`🔗 Joining running extraction for ${running.key}`);
+        const { streams, partial } = await inFlight.join(running);
+        if (!partial) return streams;
+        logger.info(`⏱️ Deadline reached, serving ${Object.keys(streams).length} partial streams for ${running.key}`);
+        return dropDeadStreams(streams);
+    }
+
+    return inFlight.run(cacheKey, async results => {
+        const streams = await checkStreams(await extractStreamsProgressively({
+            ...extraction,
+            providers: settings.providers,
+            results
+        }));
+        await storeStreams(cacheKey, baseKey, extraction, streams);
+        return streams;
+    });
+}
+
+async function getMovieStreams(imdbId, settings) {
+    const baseKey = `movie:${imdbId}`;
+    const cacheKey = streamCacheKey(baseKey, settings);
+    const details = await metadata.getTitle(imdbId, 'movie');
+        
+    const cached = await getCachedStreams(baseKey, settings, { type: 'movie', imdbId });
+    metrics.cacheLookups.inc({ type: 'movie', result: cached ? 'hit' : 'miss' });
+    if (cached) {
+        logger.info(`💾 Cache hit for movie ${imdbId}`);
+        return formatStreams(cached, details, null, null, settings);
+    }
+        
+    logger.info(`🎬 Starting PROGRESSIVE movie processing: ${imdbId}`);
+    const startTime = Date.now();
+        
+    const streams = await extractStreams(baseKey, cacheKey, settings, { type: 'movie', imdbId });
+        
+    const duration = Date.now() - startTime;
+    logger.info(`🎬 Movie completed in ${duration}ms: ${Object.keys(streams).length} streams from 10 providers`);
+        
+    return formatStreams(streams, details, null, null, settings);
+}
+
+async function getSeriesStreams(imdbId, season, episode, settings) {
+    const baseKey = `series:${imdbId}:${season}:${episode}`;
+    const cacheKey = streamCacheKey(baseKey, settings);
+    const [title, episodeTitle] = await Promise.all([
+        metadata.getTitle(imdbId, 'series'),
+        metadata.getEpisodeTitle(imdbId, season, episode)
+    ]);
+    const details = { ...title, episodeTitle };
+        
+    const cached = await getCachedStreams(baseKey, settings, { type: 'series', imdbId, season, episode });
+    metrics.cacheLookups.inc({ type: 'series', result: cached ? 'hit' : 'miss' });
+    if (cached) {
+        logger.info(`💾 Cache hit for series ${imdbId} S${season}E${episode}`);
+        return formatStreams(cached, details, season, episode, settings);
+    }
+        
+    logger.info(`📺 Starting PROGRESSIVE series processing: ${imdbId} S${season}E${episode}`);
+    const startTime = Date.now();
+        
+    const streams = await extractStreams(baseKey, cacheKey, settings, { 
+        type: 'series', 
+        imdbId, 
+        season, 
+        episode
+    });
+        
+    const duration = Date.now() - startTime;
+    logger.info(`📺 Series completed in ${duration}ms: ${Object.keys(streams).length} streams from 10 providers`);
+        
+    return formatStreams(streams, details, season, episode, settings);
+}
+
+// ✅ Warm the shared (all-provider) cache entry for an upcoming episode
+async function warmSeriesEpisode({ imdbId, season, episode }) {
+    const baseKey = `series:${imdbId}:${season}:${episode}`;
+    if (inFlight.find([baseKey]) || await streamCache.get(baseKey)) return;
+
+    // Registered like a user request, so a viewer who gets there first joins it
+    const streams = await inFlight.run(baseKey, async results => {
+        const verified = await checkStreams(await extractStreamsProgressively({
+            type: 'series',
+            imdbId,
+            season,
+            episode,
+            priority: 'background',
+            results
+        }));
+        await storeStreams(baseKey, baseKey, { type: 'series', imdbId, season, episode }, verified);
+        return verified;
+    });
+    if (Object.keys(streams).length > 0) {
+        logger.info(`🔮 Prefetched ${Object.keys(streams).length} streams for ${baseKey}`);
+    }
+}
+
+const prefetcher = new Prefetcher({ nextEpisodes: metadata.nextEpisodes, warm: warmSeriesEpisode });
+
+// ✅ Stale entries are refreshed on their next hit, popular ones ahead of it
+const refresher = new Refresher({
+    isStale: async ({ cacheKey }) => {
+        const entry = await streamCache.get(cacheKey);
+        return Boolean(entry && entry.streams) && Date.now() >= entry.staleAt;
+    },
+    refresh: revalidate
+});
+refresher.start();
+
+// ✅ Half-open probes run against a title every provider should have
+const HEALTH_PROBE_ID = process.env.HEALTH_PROBE_ID || 'tt0111161';
+providerHealth.startProbing(async name => {
+    const source = SOURCES.find(entry => entry.name === name);
+    const job = { provider: name, priority: 'background', rank: source.priority, timeout: source.timeout };
+    const result = await scheduler.run(job, () =>
+        extractor(name, 'movie', HEALTH_PROBE_ID, null, null, null, { priority: 'background' })
+    );
+    return Object.keys(result || {}).length;
+});
+
+builder.defineStreamHandler(async ({type, id, config}) => {
+    const startTime = Date.now();
+    const settings = parseUserConfig(config, SOURCE_NAMES);
+    logger.info(`🚀 PROGRESSIVE REQUEST: ${type}, ${id}`);
+    metrics.requests.inc({ type });
+        
+    try {
+        let streams = [];
+        const target = await resolveId(type, id);
+        if (!target) {
+            logger.warn(`🆔 No IMDb mapping for ${type} ${id}`);
+            return { streams: [] };
+        }
+                
+        if (type === 'movie') {
+            streams = await getMovieStreams(target.imdbId, settings);
+        } else if (type === 'series') {
+            const { imdbId, season, episode } = target;
+            streams = await getSeriesStreams(imdbId, season, episode, settings);
+            prefetcher.schedule(imdbId, season, episode);
+        }
+                
+        const duration = Date.now() - startTime;
+        logger.info(`⚡ PROGRESSIVE RESPONSE: ${streams.length} streams in ${duration}ms from 10 providers`);
+        metrics.streamsReturned.observe({ type }, streams.length);
+        metrics.requestDuration.observe({ type }, duration / 1000);
+                
+        return Promise.resolve({ streams });
+            
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        if (error instanceof SchedulerBusyError) {
+            logger.warn(`🚦 Busy, turned away ${type} ${id} after ${duration}ms: ${error.message}`);
+            return {
+                streams: [{
+                    name: "⏳ Server Busy",
+                    url: "https://example.com/busy",
+                    description: "Too many people are searching right now. Please try again in a minute."
+                }]
+            };
+        }
+        logger.error(`💥 Progressive handler error after ${duration}ms: ${error.message}`);
+                
+        return Promise.resolve({
+            streams: [{
+                name: "⚠️ Service Temporarily Unavailable",
+                url: "https://example.com/error",
+                description: "Streaming service temporarily unavailable. Please try again."
+            }]
+        });
+    }
+});
+
+// ✅ Subtitles found while scraping this title; nothing is scraped just for them
+builder.defineSubtitlesHandler(async ({type, id, config}) => {
+    const settings = parseUserConfig(config, SOURCE_NAMES);
+
+    try {
+        const target = await resolveId(type, id);
+        if (!target) return { subtitles: [] };
+        const { imdbId, season, episode } = target;
+        const found = await subtitles.getSubtitles(subtitles.subtitleKey(type, imdbId, season, episode));
+        const preferred = settings.language && subtitles.inferLanguage('', settings.language);
+        const sorted = [...found].sort((a, b) => Number(b.lang === preferred) - Number(a.lang === preferred));
+        logger.info(`💬 SUBTITLES: ${sorted.length} tracks for ${type} ${id}`);
+        return { subtitles: sorted.map(subtitles.toStremioSubtitle) };
+    } catch (error) {
+        logger.error(`💥 Subtitles handler error for ${id}: ${error.message}`);
+        return { subtitles: [] };
+    }
+});
+
+// ✅ Titles with working links right now, from earlier extractions (catalog.js)
+builder.defineCatalogHandler(async ({type, id, extra, config}) => {
+    const settings = parseUserConfig(config, SOURCE_NAMES);
+    try {
+        return { metas: await getCatalog(type, id, extra, settings.providers) };
+    } catch (error) {
+        logger.error(`💥 Catalog handler error for ${id}: ${error.message}`);
+        return { metas: [] };
+    }
+});
+
+// ✅ Runtime changes from /admin; they last until the process restarts
+function updateSource(name, { enabled, priority } = {}) {
+    const source = SOURCES.find(entry => entry.name === name);
+    if (!source) return null;
+    if (enabled !== undefined) source.enabled = Boolean(enabled);
+    if (priority !== undefined && Number.isFinite(Number(priority))) source.priority = Number(priority);
+    logger.info(`🛠️ Source ${name} is now ${source.enabled === false ? 'disabled' : 'enabled'}, priority ${source.priority}`);
+    return source;
+}
+
+// ✅ Admin test run: a fresh extraction that skips the caches and coalescing, with
+// every log line it produced. Resolves to { result: { target, streams }, trail }.
+function testExtraction(type, id, providers = SOURCE_NAMES) {
+    return logTrail.capture(async () => {
+        const target = await resolveId(type, id);
+        if (!target) throw new Error(`No IMDb mapping for ${type} ${id}`);
+        logger.info(`🧪 Test extraction for ${type} ${target.key}: ${providers.join(', ')}`);
+
+        const streams = await extractStreamsProgressively({
+            type,
+            imdbId: target.imdbId,
+            season: target.season,
+            episode: target.episode,
+            providers,
+            force: true
+        });
+        return { target, streams };
+    });
+}
+
+const addonInterface = builder.getInterface();
+
+// ✅ Stop background work and release shared resources
+async function shutdown() {
+    refresher.stop();
+    await browserPool.destroy();
+    await closeCaches();
+}
+
+module.exports = {
+    addonInterface,
+    SOURCES,
+    formatStreams,
+    updateSource,
+    testExtraction,
+    shutdown
+};
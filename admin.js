@@ -0,0 +1,147 @@
+//admin.js - PROTECTED /admin DASHBOARD AND CONTROL API
+// Off unless ADMIN_TOKEN is set. The page itself holds no data; every /admin/api
+// call needs "Authorization: Bearer <ADMIN_TOKEN>".
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const logger = require('./logger');
+const { SOURCES, updateSource, testExtraction } = require('./addon');
+const providerHealth = require('./provider-health');
+const { getProvider } = require('./providers');
+const { providerOf } = require('./ranking');
+const logTrail = require('./log-trail');
+const { createCache } = require('./cache');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Namespaces that can be browsed and purged
+const ADMIN_CACHES = ['streams', 'failures', 'available', 'subtitles', 'metadata', 'ids'];
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Hashing first gives equal lengths, so the comparison leaks nothing about the token
+function authorized(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && Boolean(token) && crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+function providerRows() {
+    const health = providerHealth.snapshot();
+    return SOURCES.map(source => {
+        const provider = getProvider(source.name);
+        return {
+            name: source.name,
+            enabled: source.enabled !== false,
+            priority: source.priority,
+            timeout: source.timeout,
+            mirror: provider ? provider.baseUrl : null,
+            health: health[source.name] || null
+        };
+    });
+}
+
+// Keys matching `key` exactly, or starting with `prefix`
+async function matchingKeys(cache, { key, prefix = '' }) {
+    const keys = await cache.keys();
+    return key ? keys.filter(entry => entry === key) : keys.filter(entry => entry.startsWith(prefix));
+}
+
+function createAdminRouter() {
+    const router = express.Router();
+    const page = path.join(__dirname, 'public', 'admin.html');
+
+    router.use((req, res, next) => {
+        if (!ADMIN_TOKEN) {
+            res.status(404).end('Admin is disabled; set ADMIN_TOKEN to enable it');
+            return;
+        }
+        next();
+    });
+
+    router.get('/', (_, res) => res.sendFile(page));
+
+    const api = express.Router();
+    api.use(express.json());
+    api.use((req, res, next) => {
+        if (!authorized(req)) {
+            logger.warn(`🛠️ Rejected admin request ${req.method} ${req.path} from ${req.ip}`);
+            res.status(401).json({ error: 'Invalid admin token' });
+            return;
+        }
+        next();
+    });
+
+    api.get('/providers', (_, res) => res.json({ providers: providerRows() }));
+
+    // ✅ { enabled?, priority? }
+    api.patch('/providers/:name', (req, res) => {
+        const source = updateSource(req.params.name, req.body || {});
+        if (!source) {
+            res.status(404).json({ error: `Unknown provider ${req.params.name}` });
+            return;
+        }
+        res.json({ providers: providerRows() });
+    });
+
+    api.param('namespace', (req, res, next, namespace) => {
+        if (!ADMIN_CACHES.includes(namespace)) {
+            res.status(404).json({ error: `Unknown cache ${namespace}` });
+            return;
+        }
+        req.cache = createCache(namespace);
+        next();
+    });
+
+    api.get('/caches', (_, res) => res.json({ caches: ADMIN_CACHES }));
+
+    api.get('/caches/:namespace', async (req, res) => {
+        const keys = (await matchingKeys(req.cache, req.query)).sort();
+        res.json({ namespace: req.params.namespace, count: keys.length, keys });
+    });
+
+    api.get('/caches/:namespace/entry', async (req, res) => {
+        const value = await req.cache.get(String(req.query.key));
+        if (value === undefined) {
+            res.status(404).json({ error: 'Not cached' });
+            return;
+        }
+        res.json({ key: req.query.key, value });
+    });
+
+    // ✅ ?key= purges one entry, ?prefix= every entry under it, neither purges all
+    api.delete('/caches/:namespace', async (req, res) => {
+        const keys = await matchingKeys(req.cache, req.query);
+        await Promise.all(keys.map(key => req.cache.del(key)));
+        logger.info(`🛠️ Purged ${keys.length} ${req.params.namespace} cache entries`);
+        res.json({ purged: keys.length });
+    });
+
+    // ✅ { type, id, providers? } -> streams and each provider's log lines
+    api.post('/test', async (req, res) => {
+        const { type, id, providers } = req.body || {};
+        if (!['movie', 'series'].includes(type) || !id) {
+            res.status(400).json({ error: 'type (movie|series) and id are required' });
+            return;
+        }
+        const names = SOURCES.map(source => source.name);
+        const selected = Array.isArray(providers) && providers.length > 0 ? providers.filter(name => names.includes(name)) : names;
+
+        try {
+            const { result, trail } = await testExtraction(type, String(id), selected);
+            const streams = {};
+            for (const [name, stream] of Object.entries(result.streams)) {
+                (streams[providerOf(name)] = streams[providerOf(name)] || {})[name] = stream;
+            }
+            res.json({ target: result.target, providers: selected, streams, trail: logTrail.byProvider(trail) });
+        } catch (error) {
+            res.status(500).json({ error: error.message, trail: logTrail.byProvider(error.trail || []) });
+        }
+    });
+
+    router.use('/api', api);
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,52 @@
+//app.js - HTTP ROUTES SHARED BY THE STANDALONE SERVER AND THE VERCEL HANDLER
+const { getRouter } = require('stremio-addon-sdk');
+const landingTemplate = require('stremio-addon-sdk/src/landingTemplate');
+const express = require('express');
+const { addonInterface } = require('./addon');
+const browserPool = require('./browser-pool');
+const scheduler = require('./scheduler');
+const providerHealth = require('./provider-health');
+const metrics = require('./metrics');
+const { createCache } = require('./cache');
+const { createProxyRouter } = require('./stream-proxy');
+const { createAdminRouter } = require('./admin');
+const metadata = require('./metadata');
+
+// ✅ Same routes as the SDK's serveHTTP, plus proxy, metrics, health and admin
+function createApp() {
+    const landingHTML = landingTemplate(addonInterface.manifest);
+    const streamCache = createCache('streams');
+    const app = express();
+    metadata.warnIfUnconfigured();
+
+    app.set('trust proxy', true);
+    app.use('/proxy', createProxyRouter());
+    app.use('/admin', createAdminRouter());
+    app.get('/metrics', (_, res) => {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+        res.end(metrics.render());
+    });
+    app.get('/health', async (_, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            browsers: browserPool.stats(),
+            scheduler: scheduler.stats(),
+            providers: providerHealth.snapshot(),
+            cache: {
+                keys: (await streamCache.keys()).length,
+                stats: streamCache.stats()
+            }
+        });
+    });
+    app.use(getRouter(addonInterface));
+    app.get('/', (_, res) => res.redirect('/configure'));
+    app.get('/configure', (_, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.end(landingHTML);
+    });
+
+    return app;
+}
+
+module.exports = createApp;
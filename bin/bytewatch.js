@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+//bin/bytewatch.js - COMMAND-LINE RESOLVER FOR DEBUGGING PROVIDERS
+// Runs the extractors directly, without the server, caches, scheduler or circuit
+// breaker, and prints what each provider saw: detected requests, variants,
+// timings and the streams Stremio would get.
+//
+//   bytewatch resolve tt0111161
+//   bytewatch resolve tt0944947:1:1 --provider vidfast --json
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || (process.argv.includes('--verbose') ? 'info' : 'warn');
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const runExtractor = require('../unified-extractor');
+const { SOURCES, formatStreams, shutdown } = require('../addon');
+const { getProvider } = require('../providers');
+const { parseId, resolveId } = require('../ids');
+const metadata = require('../metadata');
+const { parseUserConfig } = require('../user-config');
+const { verifyStreams } = require('../stream-verifier');
+const { describeVariant } = require('../hls-variants');
+
+const USAGE = `Usage: bytewatch resolve <id> [options]
+
+  <id>                   tt0111161, tt0944947:1:1, tmdb:550, kitsu:1:1
+
+Options:
+  --type movie|series    Default: series when the id has an episode, movie otherwise
+  --provider <name>      Only this provider; repeat or comma-separate for more.
+                         Default: every enabled provider in SOURCES
+  --json                 Print the full report as JSON
+  --network-log <file>   Write every request each provider's page made to <file> (JSON)
+  --screenshot <dir>     Save <dir>/<provider>.png with each page's final state
+  --timeout <ms>         Per-provider timeout (default: the SOURCES timeout)
+  --no-verify            Skip the link checks before formatting
+  --verbose              Show the addon's info logs (on stderr)
+`;
+
+const DEFAULT_TIMEOUT = 20000;
+
+class UsageError extends Error {}
+
+// ✅ argv (after "node bytewatch.js") -> options
+function parseArgs(argv) {
+    const options = { command: null, id: null, type: null, providers: [], json: false, verify: true, networkLog: null, screenshotDir: null, timeout: null, help: false };
+    const valueOf = (flag, index) => {
+        if (argv[index + 1] === undefined || argv[index + 1].startsWith('--')) throw new UsageError(`${flag} needs a value`);
+        return argv[index + 1];
+    };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        switch (arg) {
+            case '-h':
+            case '--help': options.help = true; break;
+            case '--json': options.json = true; break;
+            case '--no-verify': options.verify = false; break;
+            case '--verbose': break; // read before the logger loads
+            case '--type': options.type = valueOf(arg, index++); break;
+            case '--provider': options.providers.push(...valueOf(arg, index++).split(',').filter(Boolean)); break;
+            case '--network-log': options.networkLog = valueOf(arg, index++); break;
+            case '--screenshot': options.screenshotDir = valueOf(arg, index++); break;
+            case '--timeout': options.timeout = parseInt(valueOf(arg, index++), 10) || null; break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+                if (!options.command) options.command = arg;
+                else if (!options.id) options.id = arg;
+                else throw new UsageError(`Unexpected argument ${arg}`);
+        }
+    }
+
+    if (options.help) return options;
+    if (options.command !== 'resolve') throw new UsageError(options.command ? `Unknown command ${options.command}` : 'Missing command');
+    if (!options.id) throw new UsageError('Missing id');
+
+    const parsed = parseId(null, options.id);
+    if (!parsed) throw new UsageError(`Unsupported id ${options.id}`);
+    options.type = options.type || (parsed.episode !== null ? 'series' : 'movie');
+    if (!['movie', 'series'].includes(options.type)) throw new UsageError(`Unknown type ${options.type}`);
+    return options;
+}
+
+async function runProvider(name, type, { imdbId, season, episode }, { timeout, screenshotDir }) {
+    const source = SOURCES.find(entry => entry.name === name);
+    const limit = timeout || (source && source.timeout) || DEFAULT_TIMEOUT;
+    const debug = { screenshotPath: screenshotDir ? path.join(screenshotDir, `${name}.png`) : null };
+    const subtitles = [];
+    const collector = { add() {}, addSubtitles: found => subtitles.push(...found) };
+    const startTime = Date.now();
+    let timer;
+
+    const run = { provider: name, status: 'failed', error: null, streams: {}, subtitles, debug };
+    try {
+        run.streams = await Promise.race([
+            runExtractor(name, type, imdbId, season, episode, collector, { debug }),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`timeout after ${limit}ms`)), limit);
+            })
+        ]) || {};
+        run.status = Object.keys(run.streams).length > 0 ? 'success' : 'empty';
+    } catch (error) {
+        run.error = error.message;
+    } finally {
+        clearTimeout(timer);
+        run.duration = Date.now() - startTime;
+    }
+    return run;
+}
+
+// ✅ Resolve one id on the chosen providers. Resolves to the report printed by the CLI.
+async function resolve({ id, type, providers = [], verify = true, timeout = null, screenshotDir = null }) {
+    const names = providers.length > 0
+        ? providers
+        : SOURCES.filter(source => source.enabled !== false).map(source => source.name);
+    const unknown = names.filter(name => !getProvider(name));
+    if (unknown.length > 0) throw new UsageError(`Unknown provider ${unknown.join(', ')}`);
+
+    const target = await resolveId(type, id);
+    if (!target) throw new Error(`No IMDb mapping for ${type} ${id}`);
+    if (screenshotDir) fs.mkdirSync(screenshotDir, { recursive: true });
+
+    const [title, episodeTitle] = await Promise.all([
+        metadata.getTitle(target.imdbId, type),
+        type === 'series' ? metadata.getEpisodeTitle(target.imdbId, target.season, target.episode) : null
+    ]);
+    const runs = await Promise.all(names.map(name => runProvider(name, type, target, { timeout, screenshotDir })));
+
+    const found = Object.assign({}, ...runs.map(run => run.streams));
+    const checked = verify ? await verifyStreams(found) : found;
+    const settings = parseUserConfig(null, names);
+
+    return {
+        id,
+        type,
+        target,
+        title: { ...title, episodeTitle },
+        providers: runs,
+        streams: Object.keys(checked).length > 0
+            ? formatStreams(checked, { ...title, episodeTitle }, target.season, target.episode, settings)
+            : []
+    };
+}
+
+const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+
+function printReport(report, write = line => process.stdout.write(`${line}\n`)) {
+    const { title, target } = report;
+    const heading = target.season !== null ? `S${target.season}E${target.episode}${title.episodeTitle ? ` - ${title.episodeTitle}` : ''}` : `(${title.year})`;
+    write(`🎬 ${title.title} ${heading}  [${target.key}]`);
+
+    for (const run of report.providers) {
+        const { debug } = run;
+        const count = Object.keys(run.streams).length;
+        const outcome = run.status === 'failed' ? `❌ failed: ${run.error}` : `${count > 0 ? '✅' : '⚠️'} ${count} streams`;
+        write('');
+        write(`── ${run.provider} ${outcome} in ${seconds(run.duration)}${debug.path ? ` via ${debug.path}` : ''}`);
+
+        const timings = Object.entries(debug.timings || {}).map(([name, ms]) => `${name} ${seconds(ms)}`);
+        if (timings.length > 0) write(`   ⏱️  ${timings.join(' · ')}`);
+
+        for (const request of (debug.requests || []).filter(entry => entry.action === 'stream' || entry.action === 'subtitle')) {
+            const status = request.status ? ` (${request.status})` : request.failure ? ` (${request.failure})` : '';
+            write(`   ${request.action === 'stream' ? '🎯' : '💬'} +${seconds(request.at)} ${request.url}${status}`);
+        }
+        for (const [name, stream] of Object.entries(run.streams)) {
+            write(`   • ${name}${stream.variant ? `  ${describeVariant(stream.variant)}` : ''}`);
+            write(`     ${stream.url}`);
+        }
+        for (const subtitle of run.subtitles) write(`   💬 ${subtitle.lang}: ${subtitle.url}`);
+        if (debug.screenshot) write(`   📸 ${debug.screenshot}`);
+    }
+
+    write('');
+    write(`Final streams (${report.streams.length}):`);
+    for (const stream of report.streams) {
+        write(`   ${stream.name}`);
+        write(`      ${stream.url}`);
+        write(`      ${stream.description.replace(/\n/g, ' · ')}`);
+    }
+}
+
+// Requests stay out of the report; --network-log writes them separately
+function toJson(report) {
+    return {
+        ...report,
+        providers: report.providers.map(({ debug, ...run }) => ({
+            ...run,
+            path: debug.path,
+            timings: debug.timings,
+            detected: (debug.requests || []).filter(entry => entry.action === 'stream' || entry.action === 'subtitle'),
+            screenshot: debug.screenshot || null
+        }))
+    };
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    // Logs go to stderr so stdout stays clean for --json
+    for (const transport of logger.transports) {
+        transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
+
+    try {
+        const report = await resolve(options);
+        if (options.networkLog) {
+            const log = Object.fromEntries(report.providers.map(run => [run.provider, run.debug.requests || []]));
+            fs.writeFileSync(options.networkLog, JSON.stringify(log, null, 2));
+        }
+        if (options.json) process.stdout.write(`${JSON.stringify(toJson(report), null, 2)}\n`);
+        else printReport(report);
+        if (options.networkLog && !options.json) process.stdout.write(`\n📝 Network log written to ${options.networkLog}\n`);
+        return report.streams.length > 0 ? 0 : 1;
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    } finally {
+        await shutdown();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+    parseArgs,
+    resolve,
+    printReport,
+    toJson
+};
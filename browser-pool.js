@@ -0,0 +1,252 @@
+//browser-pool.js - SHARED LONG-LIVED BROWSER POOL
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connect } = require("puppeteer-real-browser");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+const POOL_OPTIONS = {
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2,            // Chrome processes kept alive
+    maxPagesPerBrowser: parseInt(process.env.BROWSER_POOL_PAGES, 10) || 3,    // concurrent leases per browser
+    maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 25, // recycle after N leases
+    minFreeMemoryMB: parseInt(process.env.BROWSER_POOL_MIN_FREE_MB, 10) || 150, // container memory when limited, host memory otherwise
+    idleTimeout: parseInt(process.env.BROWSER_POOL_IDLE_MS, 10) || 60000
+};
+
+const LAUNCH_OPTIONS = {
+    headless: true,
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-web-security',
+        "--disable-dev-shm-usage",
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--enable-popup-blocking',
+        '--disable-gpu',
+        '--no-first-run'
+    ],
+    turnstile: true,
+    customConfig: {},
+    connectOption: {},
+    disableXvfb: false,
+    ignoreAllFlags: false,
+};
+
+// cgroup v2 and v1 files: [limit, usage, name of the reclaimable page cache in memory.stat]
+const CGROUP_FILES = [
+    ['memory.max', 'memory.current', 'inactive_file'],
+    ['memory/memory.limit_in_bytes', 'memory/memory.usage_in_bytes', 'total_inactive_file']
+];
+const UNLIMITED = 2 ** 60; // v1 reports "no limit" as a number close to 2^63
+
+function readCgroup(root, file) {
+    try {
+        return fs.readFileSync(path.join(root, file), 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+// ✅ Memory left before the container's limit, counting reclaimable page cache as
+// free (like `docker stats`). os.freemem() is the host's: it ignores the limit and
+// drops as the page cache grows. Falls back to it when there is no cgroup limit.
+function freeMemoryMB(root = '/sys/fs/cgroup') {
+    const hostFree = os.freemem();
+    for (const [limitFile, usageFile, cacheField] of CGROUP_FILES) {
+        const limit = Number(readCgroup(root, limitFile));
+        const usage = Number(readCgroup(root, usageFile));
+        if (!limit || !Number.isFinite(usage) || limit >= UNLIMITED) continue; // "max", missing or unlimited
+
+        const stat = readCgroup(root, limitFile.replace(/[^/]+$/, 'memory.stat')) || '';
+        const cache = new RegExp(`^${cacheField} (\\d+)$`, 'm').exec(stat);
+        const workingSet = Math.max(0, usage - (cache ? Number(cache[1]) : 0));
+        return Math.min(limit - workingSet, hostFree) / 1024 / 1024;
+    }
+    return hostFree / 1024 / 1024;
+}
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.options = { ...POOL_OPTIONS, ...options };
+        this.browsers = [];
+        this.waiters = [];
+        this.launching = 0;
+        this.destroyed = false;
+
+        this._idleTimer = setInterval(() => this._closeIdle(), Math.max(this.options.idleTimeout / 2, 5000));
+        this._idleTimer.unref();
+    }
+
+    // ✅ Borrow an isolated context + page. Always call release() when done.
+    // 'background' leases (prefetch) only get a page nobody interactive is waiting for.
+    async acquire({ priority = 'interactive' } = {}) {
+        if (this.destroyed) throw new Error('Browser pool has been destroyed');
+
+        const entry = await this._reserveSlot(priority);
+        let context = null;
+        try {
+            context = await entry.browser.createBrowserContext();
+            const page = await context.newPage();
+            let released = false;
+            return {
+                page,
+                release: async () => {
+                    if (released) return;
+                    released = true;
+                    await this._release(entry, context);
+                }
+            };
+        } catch (error) {
+            logger.warn(`⚠️ Browser pool lease failed: ${error.message}`);
+            entry.retiring = true;
+            await this._release(entry, context);
+            throw error;
+        }
+    }
+
+    stats() {
+        return {
+            browsers: this.browsers.length,
+            launching: this.launching,
+            active: this.browsers.reduce((sum, entry) => sum + entry.active, 0),
+            waiting: this.waiters.length,
+            capacity: this.options.maxBrowsers * this.options.maxPagesPerBrowser
+        };
+    }
+
+    async destroy() {
+        this.destroyed = true;
+        clearInterval(this._idleTimer);
+        for (const waiter of this.waiters.splice(0)) {
+            waiter.reject(new Error('Browser pool has been destroyed'));
+        }
+        await Promise.all(this.browsers.map(entry => this._closeBrowser(entry)));
+    }
+
+    _findAvailable() {
+        return this.browsers
+            .filter(entry => !entry.retiring && entry.active < this.options.maxPagesPerBrowser)
+            .sort((a, b) => a.active - b.active)[0];
+    }
+
+    _reserveSlot(priority) {
+        const background = priority === 'background';
+        if (!background || this.waiters.length === 0) {
+            const available = this._findAvailable();
+            if (available) {
+                available.active++;
+                return Promise.resolve(available);
+            }
+            if (this.browsers.length + this.launching < this.options.maxBrowsers) {
+                return this._launch();
+            }
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, background };
+            // Interactive waiters jump ahead of queued background work
+            const index = background ? -1 : this.waiters.findIndex(queued => queued.background);
+            if (index === -1) this.waiters.push(waiter);
+            else this.waiters.splice(index, 0, waiter);
+        });
+    }
+
+    async _launch() {
+        this.launching++;
+        try {
+            const { browser, page } = await connect(LAUNCH_OPTIONS);
+            const entry = {
+                browser,
+                anchorPage: page, // keeps the default context alive between leases
+                active: 1,
+                uses: 0,
+                retiring: false,
+                lastUsed: Date.now()
+            };
+            browser.on('disconnected', () => this._remove(entry));
+            this.browsers.push(entry);
+            logger.info(`🧭 Browser pool launched browser ${this.browsers.length}/${this.options.maxBrowsers}`);
+            return entry;
+        } finally {
+            this.launching--;
+        }
+    }
+
+    async _release(entry, context) {
+        if (context) {
+            try {
+                await context.close();
+            } catch (closeError) {
+                logger.warn(`⚠️ Error closing browser context: ${closeError.message}`);
+            }
+        }
+
+        entry.active--;
+        entry.uses++;
+        entry.lastUsed = Date.now();
+
+        if (!entry.retiring && entry.uses >= this.options.maxUsesPerBrowser) {
+            logger.info(`♻️ Recycling browser after ${entry.uses} uses`);
+            entry.retiring = true;
+        } else if (!entry.retiring && freeMemoryMB() < this.options.minFreeMemoryMB) {
+            logger.warn(`♻️ Recycling browser, free memory down to ${Math.round(freeMemoryMB())}MB`);
+            entry.retiring = true;
+        }
+
+        if (entry.retiring && entry.active === 0) {
+            await this._closeBrowser(entry);
+        }
+        this._drain();
+    }
+
+    _drain() {
+        while (this.waiters.length > 0 && !this.destroyed) {
+            const available = this._findAvailable();
+            if (available) {
+                available.active++;
+                this.waiters.shift().resolve(available);
+            } else if (this.browsers.length + this.launching < this.options.maxBrowsers) {
+                const waiter = this.waiters.shift();
+                this._launch().then(waiter.resolve, waiter.reject);
+            } else {
+                break;
+            }
+        }
+    }
+
+    _remove(entry) {
+        const index = this.browsers.indexOf(entry);
+        if (index !== -1) {
+            this.browsers.splice(index, 1);
+            this._drain();
+        }
+    }
+
+    async _closeBrowser(entry) {
+        this._remove(entry);
+        try {
+            await entry.browser.close();
+        } catch (closeError) {
+            logger.warn(`⚠️ Error closing pooled browser: ${closeError.message}`);
+        }
+    }
+
+    _closeIdle() {
+        const now = Date.now();
+        for (const entry of [...this.browsers]) {
+            if (entry.active === 0 && now - entry.lastUsed > this.options.idleTimeout) {
+                logger.info(`💤 Closing idle browser after ${now - entry.lastUsed}ms`);
+                this._closeBrowser(entry);
+            }
+        }
+    }
+}
+
+const browserPool = new BrowserPool();
+
+metrics.registerGauge('bytewatch_browsers', 'Browsers running in the pool', () => browserPool.stats().browsers);
+metrics.registerGauge('bytewatch_browser_pages_active', 'Pages currently leased from the pool', () => browserPool.stats().active);
+metrics.registerGauge('bytewatch_browser_pool_waiting', 'Extractions waiting for a browser page', () => browserPool.stats().waiting);
+
+module.exports = browserPool;
+module.exports.freeMemoryMB = freeMemoryMB;
@@ -0,0 +1,102 @@
+//cache/file.js - JSON FILE BACKEND (survives restarts, one file per namespace)
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const FLUSH_DELAY = 1000;
+
+class FileBackend {
+    constructor(namespace, { ttl, maxKeys, dir }) {
+        this.ttl = ttl;
+        this.maxKeys = maxKeys || 0;
+        this.file = path.join(dir, `${namespace}.json`);
+        this.entries = null;
+        this._flushTimer = null;
+    }
+
+    _load() {
+        if (this.entries) return;
+        this.entries = new Map();
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const [key, entry] of Object.entries(stored)) {
+                this.entries.set(key, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`⚠️ Ignoring unreadable cache file ${this.file}: ${error.message}`);
+            }
+        }
+    }
+
+    _isExpired(entry) {
+        return entry.expiresAt && entry.expiresAt <= Date.now();
+    }
+
+    // ✅ Writes are batched; a burst of sets costs one rename
+    _scheduleFlush() {
+        if (this._flushTimer) return;
+        this._flushTimer = setTimeout(() => {
+            this._flushTimer = null;
+            this._flush();
+        }, FLUSH_DELAY);
+        this._flushTimer.unref();
+    }
+
+    _flush() {
+        const live = {};
+        for (const [key, entry] of this.entries) {
+            if (!this._isExpired(entry)) live[key] = entry;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(live));
+            fs.renameSync(tmpFile, this.file);
+        } catch (error) {
+            logger.warn(`⚠️ Failed to write cache file ${this.file}: ${error.message}`);
+        }
+    }
+
+    async get(key) {
+        this._load();
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (this._isExpired(entry)) {
+            this.entries.delete(key);
+            this._scheduleFlush();
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        this._load();
+        this.entries.delete(key); // re-insert so Map order stays oldest-first
+        this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : 0 });
+        if (this.maxKeys && this.entries.size > this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this._scheduleFlush();
+    }
+
+    async del(key) {
+        this._load();
+        if (this.entries.delete(key)) this._scheduleFlush();
+    }
+
+    async keys() {
+        this._load();
+        return [...this.entries].filter(([, entry]) => !this._isExpired(entry)).map(([key]) => key);
+    }
+
+    async close() {
+        if (this._flushTimer) {
+            clearTimeout(this._flushTimer);
+            this._flushTimer = null;
+            this._flush();
+        }
+    }
+}
+
+module.exports = FileBackend;
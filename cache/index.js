@@ -0,0 +1,108 @@
+//cache/index.js - ONE CACHE INTERFACE FOR BOTH ENTRY POINTS
+// CACHE_BACKEND picks the store: memory (default), file or redis.
+// Every method is async so callers don't care which one is behind it.
+const os = require('os');
+const path = require('path');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const MemoryBackend = require('./memory');
+const FileBackend = require('./file');
+const RedisBackend = require('./redis');
+
+const BACKENDS = {
+    memory: MemoryBackend,
+    file: FileBackend,
+    redis: RedisBackend
+};
+
+const CACHE_OPTIONS = {
+    backend: process.env.CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory'),
+    dir: process.env.CACHE_DIR || path.join(os.tmpdir(), 'bytewatch-cache'),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379'
+};
+
+if (!BACKENDS[CACHE_OPTIONS.backend]) {
+    logger.warn(`⚠️ Unknown CACHE_BACKEND "${CACHE_OPTIONS.backend}", using memory`);
+    CACHE_OPTIONS.backend = 'memory';
+}
+
+const caches = new Map();
+
+class Cache {
+    constructor(namespace, backend) {
+        this.namespace = namespace;
+        this.backend = backend;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    // ✅ A broken backend degrades to a cache miss instead of failing the request
+    async get(key) {
+        try {
+            const value = await this.backend.get(key);
+            if (value === undefined) this.misses++;
+            else this.hits++;
+            return value;
+        } catch (error) {
+            logger.warn(`⚠️ Cache ${this.namespace} get failed: ${error.message}`);
+            this.misses++;
+            return undefined;
+        }
+    }
+
+    async set(key, value, ttl) {
+        try {
+            await this.backend.set(key, value, ttl);
+        } catch (error) {
+            logger.warn(`⚠️ Cache ${this.namespace} set failed: ${error.message}`);
+        }
+    }
+
+    async del(key) {
+        try {
+            await this.backend.del(key);
+        } catch (error) {
+            logger.warn(`⚠️ Cache ${this.namespace} del failed: ${error.message}`);
+        }
+    }
+
+    async keys() {
+        try {
+            return await this.backend.keys();
+        } catch (error) {
+            logger.warn(`⚠️ Cache ${this.namespace} keys failed: ${error.message}`);
+            return [];
+        }
+    }
+
+    stats() {
+        return { backend: CACHE_OPTIONS.backend, hits: this.hits, misses: this.misses };
+    }
+}
+
+// ✅ Same namespace -> same instance, so index.js and api/index.js share entries
+function createCache(namespace, { ttl = 3600, maxKeys = 0 } = {}) {
+    if (caches.has(namespace)) return caches.get(namespace);
+
+    const Backend = BACKENDS[CACHE_OPTIONS.backend];
+    const cache = new Cache(namespace, new Backend(namespace, { ...CACHE_OPTIONS, ttl, maxKeys }));
+    caches.set(namespace, cache);
+    return cache;
+}
+
+function namespaceStats(field) {
+    return () => [...caches.values()].map(cache => ({ labels: { namespace: cache.namespace }, value: cache[field] }));
+}
+
+metrics.registerCounter('bytewatch_cache_hits_total', 'Cache hits by namespace', namespaceStats('hits'), ['namespace']);
+metrics.registerCounter('bytewatch_cache_misses_total', 'Cache misses by namespace', namespaceStats('misses'), ['namespace']);
+
+async function closeCaches() {
+    await Promise.all([...caches.values()].map(cache => cache.backend.close()));
+    caches.clear();
+}
+
+module.exports = {
+    createCache,
+    closeCaches
+};
@@ -0,0 +1,37 @@
+//cache/memory.js - IN-PROCESS BACKEND (lost on restart)
+const NodeCache = require('node-cache');
+
+class MemoryBackend {
+    constructor(namespace, { ttl, maxKeys }) {
+        this.cache = new NodeCache({ stdTTL: ttl, checkperiod: Math.min(Math.max(Math.floor(ttl / 10), 60), 600), maxKeys: maxKeys || -1 });
+    }
+
+    async get(key) {
+        return this.cache.get(key);
+    }
+
+    async set(key, value, ttl) {
+        try {
+            this.cache.set(key, value, ttl);
+        } catch (error) {
+            // ECACHEFULL, which node-cache also throws when replacing a key: make room
+            // with the key itself if it is there, else by dropping the oldest, and retry once
+            this.cache.del(this.cache.has(key) ? key : this.cache.keys()[0]);
+            this.cache.set(key, value, ttl);
+        }
+    }
+
+    async del(key) {
+        this.cache.del(key);
+    }
+
+    async keys() {
+        return this.cache.keys();
+    }
+
+    async close() {
+        this.cache.close();
+    }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,60 @@
+//cache/redis.js - REDIS BACKEND (shared between instances and serverless invocations)
+const logger = require('../logger');
+
+let client = null;
+
+// ✅ One connection for every namespace
+function getClient(url) {
+    if (!client) {
+        const Redis = require('ioredis');
+        client = new Redis(url, { maxRetriesPerRequest: 2, lazyConnect: false });
+        client.on('error', error => logger.warn(`⚠️ Redis error: ${error.message}`));
+    }
+    return client;
+}
+
+class RedisBackend {
+    constructor(namespace, { ttl, redisUrl }) {
+        this.ttl = ttl;
+        this.prefix = `bytewatch:${namespace}:`;
+        this.redis = getClient(redisUrl);
+    }
+
+    async get(key) {
+        const raw = await this.redis.get(this.prefix + key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        if (ttl) {
+            await this.redis.set(this.prefix + key, JSON.stringify(value), 'EX', Math.max(1, Math.round(ttl)));
+        } else {
+            await this.redis.set(this.prefix + key, JSON.stringify(value));
+        }
+    }
+
+    async del(key) {
+        await this.redis.del(this.prefix + key);
+    }
+
+    async keys() {
+        const found = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.redis.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 200);
+            cursor = next;
+            found.push(...batch.map(key => key.slice(this.prefix.length)));
+        } while (cursor !== '0');
+        return found;
+    }
+
+    async close() {
+        if (client) {
+            const closing = client;
+            client = null;
+            await closing.quit();
+        }
+    }
+}
+
+module.exports = RedisBackend;
@@ -0,0 +1,92 @@
+//catalog.js - "AVAILABLE NOW" CATALOGS FROM RESOLVED EXTRACTIONS
+// Every extraction that gets cached is also noted here, under the same key and
+// TTL as its stream cache entry, so a title drops out of the catalog when its
+// links do. The catalogs list those titles, most recently resolved first.
+const logger = require('./logger');
+const metadata = require('./metadata');
+const { providerOf } = require('./ranking');
+const { createCache } = require('./cache');
+
+const CATALOG_OPTIONS = {
+    pageSize: 100, // Stremio asks for more with skip=100, 200, ...
+    maxEntries: parseInt(process.env.CATALOG_MAX_ENTRIES, 10) || 2000
+};
+
+const CATALOGS = [
+    { type: 'movie', id: 'bytewatch-available-movies', name: 'Available now', extra: [{ name: 'skip' }] },
+    { type: 'series', id: 'bytewatch-available-series', name: 'Available now', extra: [{ name: 'skip' }] }
+];
+
+const availableCache = createCache('available', { ttl: 7200, maxKeys: CATALOG_OPTIONS.maxEntries });
+
+// ✅ Note a cached extraction. `baseKey` is the stream cache's all-provider key.
+async function recordAvailable(baseKey, { type, imdbId, season = null, episode = null }, streams, ttl) {
+    const names = Object.keys(streams);
+    if (names.length === 0) return;
+
+    await availableCache.set(baseKey, {
+        type,
+        imdbId,
+        season,
+        episode,
+        count: names.length,
+        providers: [...new Set(names.map(providerOf))],
+        resolvedAt: Date.now()
+    }, ttl);
+}
+
+async function availableEntries(type, providers) {
+    const keys = (await availableCache.keys()).filter(key => key.startsWith(`${type}:`));
+    const entries = await Promise.all(keys.map(key => availableCache.get(key)));
+    return entries.filter(entry => entry && entry.providers.some(name => providers.includes(name)));
+}
+
+// Episodes of one series collapse into a single item listing what plays
+function groupByTitle(entries) {
+    const titles = new Map();
+    for (const entry of entries) {
+        const title = titles.get(entry.imdbId) || { imdbId: entry.imdbId, resolvedAt: 0, episodes: [] };
+        title.resolvedAt = Math.max(title.resolvedAt, entry.resolvedAt);
+        if (entry.season !== null) title.episodes.push(entry);
+        titles.set(entry.imdbId, title);
+    }
+    return [...titles.values()].sort((a, b) => b.resolvedAt - a.resolvedAt);
+}
+
+function episodeList(episodes) {
+    return [...episodes]
+        .sort((a, b) => a.season - b.season || a.episode - b.episode)
+        .map(({ season, episode }) => `S${season}E${episode}`)
+        .join(', ');
+}
+
+async function toMetaPreview(type, { imdbId, episodes }) {
+    const details = await metadata.getTitle(imdbId, type);
+    const fresh = episodes.length > 0 ? `▶️ Playable now: ${episodeList(episodes)}` : null;
+    return {
+        id: imdbId,
+        type,
+        name: details.title === 'Unknown' ? imdbId : details.title,
+        poster: details.poster || undefined,
+        releaseInfo: details.year === 'Unknown' ? undefined : details.year,
+        description: [fresh, details.description].filter(Boolean).join('\n\n') || undefined
+    };
+}
+
+// ✅ Catalog handler body; only titles some of the user's providers resolved
+async function getCatalog(type, id, extra = {}, providers) {
+    if (!CATALOGS.some(catalog => catalog.type === type && catalog.id === id)) return [];
+
+    const skip = parseInt(extra.skip, 10) || 0;
+    const titles = groupByTitle(await availableEntries(type, providers))
+        .slice(skip, skip + CATALOG_OPTIONS.pageSize);
+
+    logger.info(`📚 CATALOG ${id}: ${titles.length} titles from ${skip}`);
+    return Promise.all(titles.map(title => toMetaPreview(type, title)));
+}
+
+module.exports = {
+    CATALOGS,
+    recordAvailable,
+    getCatalog
+};
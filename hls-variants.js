@@ -0,0 +1,144 @@
+//hls-variants.js - VARIANT MODEL FOR HLS MASTER PLAYLISTS
+// One entry per EXT-X-STREAM-INF: resolution, bitrate, codecs, HDR and the audio
+// renditions it can play, so formatting can show more than "1080p".
+const { inferLanguage } = require('./subtitles');
+
+// Label by whichever dimension says more: 1920x800 scope is still 1080p
+const QUALITY_STEPS = [
+    { label: '2160p', height: 2000, width: 3600 },
+    { label: '1440p', height: 1400, width: 2500 },
+    { label: '1080p', height: 1000, width: 1800 },
+    { label: '720p', height: 700, width: 1200 },
+    { label: '480p', height: 460, width: 800 },
+    { label: '360p', height: 0, width: 0 }
+];
+
+// Without a resolution, bandwidth is all we have to go on
+const BANDWIDTH_STEPS = [
+    { label: '2160p', bandwidth: 12000000 },
+    { label: '1080p', bandwidth: 3000000 },
+    { label: '720p', bandwidth: 1500000 },
+    { label: '480p', bandwidth: 800000 },
+    { label: '360p', bandwidth: 0 }
+];
+
+const VIDEO_CODECS = [
+    { prefix: /^(dvh1|dvhe)/, codec: 'HEVC', hdr: 'Dolby Vision' },
+    { prefix: /^(dav1)/, codec: 'AV1', hdr: 'Dolby Vision' },
+    { prefix: /^(hvc1|hev1)/, codec: 'HEVC' },
+    { prefix: /^(avc1|avc3)/, codec: 'H.264' },
+    { prefix: /^av01/, codec: 'AV1' },
+    { prefix: /^vp09/, codec: 'VP9' }
+];
+
+const AUDIO_CODECS = [
+    { prefix: /^ec-3/, codec: 'E-AC3' },
+    { prefix: /^ac-3/, codec: 'AC3' },
+    { prefix: /^mp4a/, codec: 'AAC' },
+    { prefix: /^opus/, codec: 'Opus' }
+];
+
+const VIDEO_RANGES = { PQ: 'HDR10', HLG: 'HLG' };
+
+function qualityLabel(resolution, bandwidth) {
+    if (resolution) {
+        const step = QUALITY_STEPS.find(entry => resolution.height >= entry.height || resolution.width >= entry.width);
+        return step.label;
+    }
+    if (bandwidth) {
+        return BANDWIDTH_STEPS.find(entry => bandwidth >= entry.bandwidth).label;
+    }
+    return null;
+}
+
+function parseCodecs(codecs) {
+    const result = { videoCodec: null, audioCodec: null, hdr: null };
+    for (const codec of String(codecs || '').split(',').map(value => value.trim().toLowerCase())) {
+        const video = VIDEO_CODECS.find(entry => entry.prefix.test(codec));
+        if (video && !result.videoCodec) {
+            result.videoCodec = video.codec;
+            result.hdr = video.hdr || null;
+        }
+        const audio = AUDIO_CODECS.find(entry => entry.prefix.test(codec));
+        if (audio && !result.audioCodec) result.audioCodec = audio.codec;
+    }
+    return result;
+}
+
+function audioLanguages(manifest, groupId) {
+    const group = groupId && manifest.mediaGroups && manifest.mediaGroups.AUDIO && manifest.mediaGroups.AUDIO[groupId];
+    if (!group) return [];
+    const languages = Object.entries(group)
+        .map(([name, rendition]) => inferLanguage(rendition.uri || '', rendition.language, name))
+        .filter(language => language !== 'und');
+    return [...new Set(languages)];
+}
+
+// ✅ Every variant of a parsed master playlist, best first. I-frame (trick play)
+// playlists are not playable streams; they are linked to the matching variant instead.
+function describeVariants(manifest, playlistUrl) {
+    const iFrames = manifest.iFramePlaylists || [];
+
+    return (manifest.playlists || []).map(playlist => {
+        const attributes = playlist.attributes || {};
+        const resolution = attributes.RESOLUTION || null;
+        const bandwidth = attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH || null;
+        const codecs = parseCodecs(attributes.CODECS);
+        const range = VIDEO_RANGES[String(attributes['VIDEO-RANGE'] || '').toUpperCase()];
+        const iFrame = resolution && iFrames.find(entry =>
+            entry.attributes && entry.attributes.RESOLUTION &&
+            entry.attributes.RESOLUTION.height === resolution.height
+        );
+
+        return {
+            url: new URL(playlist.uri, playlistUrl).href,
+            quality: qualityLabel(resolution, bandwidth),
+            width: resolution ? resolution.width : null,
+            height: resolution ? resolution.height : null,
+            bandwidth,
+            frameRate: attributes['FRAME-RATE'] ? Math.round(attributes['FRAME-RATE'] * 100) / 100 : null,
+            videoCodec: codecs.videoCodec,
+            audioCodec: codecs.audioCodec,
+            hdr: codecs.hdr || range || null,
+            audio: audioLanguages(manifest, attributes.AUDIO),
+            subtitleGroup: attributes.SUBTITLES || null,
+            iFrameUrl: iFrame ? new URL(iFrame.uri, playlistUrl).href : null
+        };
+    }).sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bandwidth || 0) - (a.bandwidth || 0));
+}
+
+// ✅ `${source} ${quality}` unless that is taken; then codec/HDR, then bitrate,
+// then a counter tell the renditions apart
+function uniqueName(taken, source, variant) {
+    const base = `${source} ${variant.quality || 'Unknown Quality'}`;
+    const candidates = [
+        base,
+        [base, variant.videoCodec, variant.hdr].filter(Boolean).join(' '),
+        [base, variant.videoCodec, variant.hdr, variant.bandwidth && `${Math.round(variant.bandwidth / 1000)}k`].filter(Boolean).join(' ')
+    ];
+    const free = candidates.find(candidate => !(candidate in taken));
+    if (free) return free;
+
+    let index = 2;
+    while (`${candidates[2]} #${index}` in taken) index++;
+    return `${candidates[2]} #${index}`;
+}
+
+// "3840x2160 · HEVC · HDR10 · 24fps · 12.5 Mbps · 🔊 eng, hin"
+function describeVariant(variant) {
+    return [
+        variant.width && variant.height ? `${variant.width}x${variant.height}` : null,
+        variant.videoCodec,
+        variant.hdr,
+        variant.frameRate ? `${variant.frameRate}fps` : null,
+        variant.bandwidth ? `${(variant.bandwidth / 1000000).toFixed(1)} Mbps` : null,
+        variant.audio && variant.audio.length > 0 ? `🔊 ${variant.audio.join(', ')}` : variant.audioCodec
+    ].filter(Boolean).join(' · ');
+}
+
+module.exports = {
+    describeVariants,
+    describeVariant,
+    uniqueName,
+    qualityLabel
+};
@@ -0,0 +1,119 @@
+//ids.js - STREMIO ID SCHEMES -> CANONICAL IMDB TARGET
+// Catalogs hand us "tt…:S:E", "tmdb:…:S:E" or "kitsu:…:EP" (anime, absolute
+// episode numbers). Everything downstream — caches, prefetch, providers — works on
+// { imdbId, season, episode }; providers that want TMDB ids get them from metadata.js.
+const axios = require('axios');
+const logger = require('./logger');
+const metadata = require('./metadata');
+const { createCache } = require('./cache');
+
+const ID_OPTIONS = {
+    // Stremio's anime-kitsu addon; its meta carries imdb_id and per-episode imdbSeason/imdbEpisode
+    kitsuAddonUrl: (process.env.KITSU_ADDON_URL || 'https://anime-kitsu.strem.fun').replace(/\/$/, ''),
+    timeout: 5000,
+    maxSeasons: 50
+};
+
+const ID_PREFIXES = ['tt', 'tmdb:', 'kitsu:'];
+
+const idCache = createCache('ids', { ttl: 30 * 86400, maxKeys: 5000 });
+
+// "kitsu:123:5" -> { scheme: 'kitsu', id: '123', season: null, episode: 5 }
+function parseId(type, id) {
+    const parts = String(id).split(':');
+    const number = value => (value === undefined || value === '' ? null : Number(value));
+
+    if (parts[0].startsWith('tt')) {
+        return { scheme: 'imdb', id: parts[0], season: number(parts[1]), episode: number(parts[2]) };
+    }
+    if (parts[0] === 'tmdb' && parts[1]) {
+        return { scheme: 'tmdb', id: parts[1], season: number(parts[2]), episode: number(parts[3]) };
+    }
+    if (parts[0] === 'kitsu' && parts[1]) {
+        // Kitsu has no seasons: the only number after the id is the absolute episode
+        return { scheme: 'kitsu', id: parts[1], season: null, episode: number(parts[2]) };
+    }
+    return null;
+}
+
+// ✅ Absolute episode -> season/episode, counting through the seasons metadata knows
+async function absoluteToSeasonEpisode(imdbId, absolute) {
+    let remaining = absolute;
+    for (let season = 1; season <= ID_OPTIONS.maxSeasons; season++) {
+        const count = await metadata.getSeasonEpisodeCount(imdbId, season);
+        if (!count) break;
+        if (remaining <= count) return { season, episode: remaining };
+        remaining -= count;
+    }
+    // Unknown season layout: most anime on IMDb is a single long season
+    return { season: 1, episode: absolute };
+}
+
+async function fetchKitsuMeta(kitsuId) {
+    const response = await axios.get(`${ID_OPTIONS.kitsuAddonUrl}/meta/anime/kitsu:${kitsuId}.json`, {
+        timeout: ID_OPTIONS.timeout
+    });
+    return response.data && response.data.meta;
+}
+
+async function resolveKitsu(type, { id, episode }) {
+    const meta = await fetchKitsuMeta(id);
+    if (!meta || !meta.imdb_id) return null;
+
+    if (type === 'movie' || episode === null) {
+        return { imdbId: meta.imdb_id, season: null, episode: null };
+    }
+
+    // Per-episode mapping when the addon has it, since split cours rarely line up with IMDb seasons
+    const video = (meta.videos || []).find(entry => Number(entry.episode) === episode);
+    if (video && video.imdbSeason && video.imdbEpisode) {
+        return { imdbId: video.imdb_id || meta.imdb_id, season: Number(video.imdbSeason), episode: Number(video.imdbEpisode) };
+    }
+    return { imdbId: meta.imdb_id, ...await absoluteToSeasonEpisode(meta.imdb_id, episode) };
+}
+
+async function resolveTmdb(type, { id, season, episode }) {
+    const imdbId = await metadata.toImdbId(id, type);
+    if (!imdbId) return null;
+    await metadata.rememberTmdbId(imdbId, type, id);
+    return { imdbId, season, episode };
+}
+
+// ✅ Stremio (type, id) -> { imdbId, season, episode, key }, or null when the id
+// can't be mapped. `key` is the canonical id; caches and prefetch use it.
+async function resolveId(type, id) {
+    const parsed = parseId(type, id);
+    if (!parsed) return null;
+
+    let target;
+    if (parsed.scheme === 'imdb') {
+        target = { imdbId: parsed.id, season: parsed.season, episode: parsed.episode };
+    } else {
+        const cacheKey = `${type}:${id}`;
+        target = await idCache.get(cacheKey);
+        if (target === undefined) {
+            try {
+                target = parsed.scheme === 'tmdb' ? await resolveTmdb(type, parsed) : await resolveKitsu(type, parsed);
+            } catch (error) {
+                logger.warn(`⚠️ Could not resolve ${id}: ${error.message}`);
+                return null; // not cached, may be a blip
+            }
+            await idCache.set(cacheKey, target, target ? undefined : 600);
+        }
+        if (!target) return null;
+        logger.info(`🆔 ${id} -> ${canonicalKey(type, target)}`);
+    }
+
+    return { ...target, key: canonicalKey(type, target) };
+}
+
+function canonicalKey(type, { imdbId, season, episode }) {
+    return type === 'series' && season !== null ? `${imdbId}:${season}:${episode}` : imdbId;
+}
+
+module.exports = {
+    ID_PREFIXES,
+    parseId,
+    resolveId,
+    absoluteToSeasonEpisode
+};
@@ -0,0 +1,62 @@
+//inflight.js - ONE RUNNING EXTRACTION PER TITLE
+// Stremio retries and users watching the same thing ask for a title while it is
+// still being scraped. Those requests attach to the running job instead of
+// launching another set of browsers.
+const INFLIGHT_OPTIONS = {
+    wait: parseInt(process.env.COALESCE_WAIT_MS, 10) || 15000 // how long a joined request waits before taking partial results
+};
+
+class InFlight {
+    constructor(options = {}) {
+        this.options = { ...INFLIGHT_OPTIONS, ...options };
+        this.jobs = new Map();
+    }
+
+    // ✅ Start `task(partial)` under `key`. The task fills `partial` as results come in
+    // so that joined requests can leave early with whatever is there.
+    run(key, task) {
+        const partial = {};
+        const promise = Promise.resolve()
+            .then(() => task(partial))
+            .finally(() => {
+                if (this.jobs.get(key) === job) this.jobs.delete(key);
+            });
+        const job = { key, partial, promise, startedAt: Date.now() };
+        this.jobs.set(key, job);
+        return promise;
+    }
+
+    // First running job among `keys`, in order
+    find(keys) {
+        for (const key of keys) {
+            if (this.jobs.has(key)) return this.jobs.get(key);
+        }
+        return null;
+    }
+
+    // ✅ Wait for a running job, up to the caller's own deadline.
+    // Resolves { streams, partial }; `partial` is true when the deadline won.
+    async join(job, wait = this.options.wait) {
+        let timer;
+        const deadline = new Promise(resolve => {
+            timer = setTimeout(() => resolve({ streams: { ...job.partial }, partial: true }), wait);
+        });
+        try {
+            return await Promise.race([
+                job.promise.then(streams => ({ streams, partial: false })),
+                deadline
+            ]);
+        } catch (error) {
+            // The job failed for its owner; take whatever it had found
+            return { streams: { ...job.partial }, partial: true };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    size() {
+        return this.jobs.size;
+    }
+}
+
+module.exports = InFlight;
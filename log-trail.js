@@ -0,0 +1,52 @@
+//log-trail.js - CAPTURE THE LOG LINES OF ONE PIECE OF WORK
+// Log lines written anywhere under capture(), however deep in the async call
+// chain, are also kept on that capture's trail. tag() marks the provider a
+// stretch of work belongs to, so a trail can be shown per provider.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MAX_ENTRIES = 2000; // a runaway provider shouldn't eat the process
+
+const storage = new AsyncLocalStorage();
+
+// ✅ Run `fn()` and resolve to { result, trail }. Rejections keep their trail on error.trail
+async function capture(fn) {
+    const trail = [];
+    try {
+        const result = await storage.run({ trail, provider: null }, fn);
+        return { result, trail };
+    } catch (error) {
+        error.trail = trail;
+        throw error;
+    }
+}
+
+// Everything `fn()` logs is attributed to `provider` (no-op outside capture)
+function tag(provider, fn) {
+    const store = storage.getStore();
+    if (!store) return fn();
+    return storage.run({ ...store, provider }, fn);
+}
+
+// Called by the logger for every line
+function record(level, message) {
+    const store = storage.getStore();
+    if (!store || store.trail.length >= MAX_ENTRIES) return;
+    store.trail.push({ time: new Date().toISOString(), level, provider: store.provider, message });
+}
+
+// { general: [...], vidlink: [...], ... }
+function byProvider(trail) {
+    const groups = {};
+    for (const entry of trail) {
+        const key = entry.provider || 'general';
+        (groups[key] = groups[key] || []).push(entry);
+    }
+    return groups;
+}
+
+module.exports = {
+    capture,
+    tag,
+    record,
+    byProvider
+};
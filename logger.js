@@ -1,9 +1,17 @@
 //logger.js
 const { createLogger, transports, format } = require("winston");
+const logTrail = require("./log-trail");
+
+// Runs synchronously inside the caller's log call, so the caller's trail (if any) gets the line
+const trail = format(info => {
+  logTrail.record(info.level, info.message);
+  return info;
+});
 
 module.exports = createLogger({
   level: process.env.LOG_LEVEL || "info",
   format: format.combine(
+      trail(),
       format.timestamp(),
       format.colorize(),
       format.printf(({ level, message, timestamp }) => `${timestamp} ${level}: ${message}`)
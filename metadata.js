@@ -0,0 +1,230 @@
+//metadata.js - TITLE/EPISODE METADATA AND IMDB <-> TMDB MAPPING
+// Keys come from the environment: OMDB_API_KEY, and TMDB_API_KEY (v3) or
+// TMDB_ACCESS_TOKEN (v4 bearer). Whatever is configured is tried in
+// METADATA_ORDER (default "tmdb,omdb"); the next one takes over when one fails.
+const axios = require('axios');
+const logger = require('./logger');
+const { createCache } = require('./cache');
+
+const METADATA_OPTIONS = {
+    omdbKey: process.env.OMDB_API_KEY || '',
+    tmdbKey: process.env.TMDB_API_KEY || '',
+    tmdbToken: process.env.TMDB_ACCESS_TOKEN || '',
+    order: (process.env.METADATA_ORDER || 'tmdb,omdb').split(',').map(name => name.trim()),
+    timeout: 5000
+};
+
+const METADATA_TTL = 7 * 86400;
+const MISS_TTL = 600; // unknown titles are retried after 10 minutes
+
+const metadataCache = createCache('metadata', { ttl: METADATA_TTL, maxKeys: 5000 });
+
+const tmdbType = type => (type === 'series' ? 'tv' : 'movie');
+
+// ✅ OMDb: title, year and season listings by IMDb id
+const omdb = {
+    configured: () => Boolean(METADATA_OPTIONS.omdbKey),
+
+    async request(params) {
+        const response = await axios.get('https://www.omdbapi.com/', {
+            params: { ...params, apikey: METADATA_OPTIONS.omdbKey },
+            timeout: METADATA_OPTIONS.timeout
+        });
+        if (response.data.Response === 'False') return null;
+        return response.data;
+    },
+
+    async title(imdbId, type) {
+        const data = await this.request({ i: imdbId });
+        if (!data) return null;
+        return {
+            imdbId,
+            title: data.Title,
+            year: String(data.Year || '').slice(0, 4) || 'Unknown',
+            type: data.Type === 'series' ? 'series' : type,
+            poster: data.Poster && data.Poster !== 'N/A' ? data.Poster : null,
+            description: data.Plot && data.Plot !== 'N/A' ? data.Plot : null
+        };
+    },
+
+    async season(imdbId, season) {
+        const data = await this.request({ i: imdbId, Season: season });
+        if (!data || !Array.isArray(data.Episodes)) return null;
+        return data.Episodes.map(ep => ({ episode: Number(ep.Episode), title: ep.Title }));
+    }
+};
+
+// ✅ TMDB: everything OMDb has, plus the id mapping some providers need
+const tmdb = {
+    configured: () => Boolean(METADATA_OPTIONS.tmdbKey || METADATA_OPTIONS.tmdbToken),
+
+    async request(path, params = {}) {
+        const response = await axios.get(`https://api.themoviedb.org/3${path}`, {
+            params: METADATA_OPTIONS.tmdbToken ? params : { ...params, api_key: METADATA_OPTIONS.tmdbKey },
+            headers: METADATA_OPTIONS.tmdbToken
+                ? { accept: 'application/json', Authorization: `Bearer ${METADATA_OPTIONS.tmdbToken}` }
+                : { accept: 'application/json' },
+            timeout: METADATA_OPTIONS.timeout
+        });
+        return response.data;
+    },
+
+    async find(imdbId, type) {
+        const data = await this.request(`/find/${imdbId}`, { external_source: 'imdb_id' });
+        const results = type === 'series' ? data.tv_results : data.movie_results;
+        return (results && results[0]) || null;
+    },
+
+    async title(imdbId, type) {
+        const found = await this.find(imdbId, type);
+        if (!found) return null;
+        const date = found.release_date || found.first_air_date || '';
+        return {
+            imdbId,
+            tmdbId: found.id,
+            title: found.title || found.name,
+            year: date.slice(0, 4) || 'Unknown',
+            type,
+            poster: found.poster_path ? `https://image.tmdb.org/t/p/w500${found.poster_path}` : null,
+            description: found.overview || null
+        };
+    },
+
+    async season(imdbId, season) {
+        const tmdbId = await toTmdbId(imdbId, 'series');
+        if (!tmdbId) return null;
+        const data = await this.request(`/tv/${tmdbId}/season/${season}`);
+        if (!Array.isArray(data.episodes)) return null;
+        return data.episodes.map(ep => ({ episode: ep.episode_number, title: ep.name }));
+    },
+
+    async imdbFor(tmdbId, type) {
+        const data = await this.request(`/${tmdbType(type)}/${tmdbId}/external_ids`);
+        return data.imdb_id || null;
+    }
+};
+
+const BACKENDS = { omdb, tmdb };
+
+let warnedUnconfigured = false;
+
+const configuredBackends = () => METADATA_OPTIONS.order.filter(name => BACKENDS[name] && BACKENDS[name].configured());
+
+// ✅ Called at startup, and again on first use, so a deploy without keys says so once
+function warnIfUnconfigured() {
+    if (configuredBackends().length > 0 || warnedUnconfigured) return;
+    warnedUnconfigured = true;
+    logger.warn('⚠️ No metadata keys configured (TMDB_API_KEY, TMDB_ACCESS_TOKEN or OMDB_API_KEY): titles will show as Unknown, ' +
+        'providers that need TMDB ids are skipped and prefetch stops at the end of a season');
+}
+
+// ✅ Ask each configured backend in order until one answers
+async function withFailover(what, call) {
+    const backends = configuredBackends();
+    warnIfUnconfigured();
+
+    for (const name of backends) {
+        try {
+            const result = await call(BACKENDS[name]);
+            if (result) return result;
+        } catch (error) {
+            logger.warn(`⚠️ ${name.toUpperCase()} ${what} failed: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+async function cached(key, load) {
+    const hit = await metadataCache.get(key);
+    if (hit !== undefined) return hit;
+
+    const value = await load();
+    await metadataCache.set(key, value, value === null ? MISS_TTL : METADATA_TTL);
+    return value;
+}
+
+async function getTitle(imdbId, type = 'movie') {
+    const title = await cached(`title:${imdbId}`, () =>
+        withFailover(`title lookup for ${imdbId}`, backend => backend.title(imdbId, type))
+    );
+    return title || { imdbId, title: 'Unknown', year: 'Unknown', type, poster: null, description: null };
+}
+
+// [{ episode, title }] for a season, or null when no backend knows it
+function getSeason(imdbId, season) {
+    return cached(`season:${imdbId}:${season}`, () =>
+        withFailover(`season lookup for ${imdbId} S${season}`, backend => backend.season(imdbId, season))
+    );
+}
+
+async function getEpisodeTitle(imdbId, season, episode) {
+    const episodes = await getSeason(imdbId, season);
+    const match = episodes && episodes.find(ep => ep.episode === Number(episode));
+    return match && match.title && match.title !== 'N/A' ? match.title : null;
+}
+
+async function getSeasonEpisodeCount(imdbId, season) {
+    const episodes = await getSeason(imdbId, season);
+    return episodes && episodes.length > 0 ? Math.max(...episodes.map(ep => ep.episode || 0)) : null;
+}
+
+// ✅ The next `count` episodes, rolling over into the next season when one ends.
+// A season no backend knows is taken to go on; an unknown next season ends the series.
+async function nextEpisodes(imdbId, season, episode, count) {
+    const upcoming = [];
+    while (upcoming.length < count) {
+        const episodeCount = await getSeasonEpisodeCount(imdbId, season);
+        if (episodeCount === null || episode < episodeCount) {
+            episode++;
+        } else if (await getSeasonEpisodeCount(imdbId, season + 1)) {
+            season++;
+            episode = 1;
+        } else {
+            break; // series finale
+        }
+        upcoming.push({ season, episode });
+    }
+    return upcoming;
+}
+
+function toTmdbId(imdbId, type) {
+    return cached(`tmdb:${type}:${imdbId}`, async () => {
+        if (!tmdb.configured()) return null;
+        try {
+            const found = await tmdb.find(imdbId, type);
+            return found ? found.id : null;
+        } catch (error) {
+            logger.warn(`⚠️ TMDB id lookup failed for ${imdbId}: ${error.message}`);
+            return null;
+        }
+    });
+}
+
+// A tmdb: catalog id already told us the mapping; no need to look it up again
+async function rememberTmdbId(imdbId, type, tmdbId) {
+    await metadataCache.set(`tmdb:${type}:${imdbId}`, Number(tmdbId), METADATA_TTL);
+}
+
+function toImdbId(tmdbId, type) {
+    if (!tmdb.configured()) return Promise.resolve(null);
+    return cached(`imdb:${type}:${tmdbId}`, async () => {
+        try {
+            return await tmdb.imdbFor(tmdbId, type);
+        } catch (error) {
+            logger.warn(`⚠️ IMDb id lookup failed for TMDB ${tmdbId}: ${error.message}`);
+            return null;
+        }
+    });
+}
+
+module.exports = {
+    getTitle,
+    getSeason,
+    getEpisodeTitle,
+    getSeasonEpisodeCount,
+    nextEpisodes,
+    toTmdbId,
+    toImdbId,
+    rememberTmdbId,
+    warnIfUnconfigured
+};
@@ -0,0 +1,139 @@
+//metrics.js - PROMETHEUS TEXT-FORMAT METRICS FOR /metrics
+// Small on purpose: counters, gauges and histograms with labels, nothing else.
+const registry = [];
+
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, index) =>
+        `${name}="${String(values[index]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = [], collect = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect; // () => value, or [{ labels, value }] for labelled metrics
+        this.values = new Map();
+        registry.push(this);
+    }
+
+    _samples() {
+        if (!this.collect) {
+            return [...this.values].map(([key, value]) => ({ values: key.split('\u0000'), value }));
+        }
+        const collected = this.collect();
+        if (!Array.isArray(collected)) return [{ values: [], value: collected }];
+        return collected.map(({ labels, value }) => ({
+            values: this.labelNames.map(name => labels[name] ?? ''),
+            value
+        }));
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { values, value } of this._samples()) {
+            lines.push(`${this.name}${formatLabels(this.labelNames, this.labelNames.length ? values : [])} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('counter', name, help, labelNames, collect);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames, collect);
+    }
+
+    set(labels = {}, value) {
+        this.values.set(labelKey(this.labelNames, labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2.5, 5, 10]) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.values.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, series] of this.values) {
+            const values = this.labelNames.length ? key.split('\u0000') : [];
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+function render() {
+    return registry.map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+// ✅ Everything the addon exports lives here so names stay in one place
+const metrics = {
+    requests: new Counter('bytewatch_stream_requests_total', 'Stream requests by content type', ['type']),
+    streamsReturned: new Histogram('bytewatch_streams_returned', 'Streams returned per request', ['type'], [0, 1, 2, 5, 10, 20, 50]),
+    requestDuration: new Histogram('bytewatch_request_duration_seconds', 'Stream request latency', ['type'], [0.05, 0.5, 1, 5, 10, 20, 30, 60]),
+    cacheLookups: new Counter('bytewatch_stream_cache_lookups_total', 'Stream cache lookups by result', ['type', 'result']),
+    coalescedRequests: new Counter('bytewatch_coalesced_requests_total', 'Stream requests that joined an extraction already running', ['type']),
+    providerAttempts: new Counter('bytewatch_provider_attempts_total', 'Provider extraction attempts', ['provider']),
+    providerResults: new Counter('bytewatch_provider_results_total', 'Provider extraction outcomes', ['provider', 'outcome']),
+    providerLatency: new Histogram('bytewatch_provider_extraction_seconds', 'Provider extraction latency', ['provider'], [1, 2, 5, 10, 15, 20, 30, 45]),
+    providerPaths: new Counter('bytewatch_provider_path_total', 'Provider extractions by path (http, browser, httpFallback)', ['provider', 'path']),
+    schedulerShed: new Counter('bytewatch_scheduler_shed_total', 'Provider extractions shed by the scheduler', ['priority']),
+    streamsDetected: new Counter('bytewatch_streams_detected_total', 'Stream requests sniffed in provider pages', ['provider'])
+};
+
+function registerGauge(name, help, collect, labelNames = []) {
+    return new Gauge(name, help, labelNames, collect);
+}
+
+function registerCounter(name, help, collect, labelNames = []) {
+    return new Counter(name, help, labelNames, collect);
+}
+
+registerGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+registerGauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', () => process.memoryUsage().heapUsed);
+
+module.exports = {
+    ...metrics,
+    registerGauge,
+    registerCounter,
+    render
+};
@@ -0,0 +1,76 @@
+//prefetch.js - BACKGROUND PREFETCH OF UPCOMING EPISODES
+const logger = require('./logger');
+const browserPool = require('./browser-pool');
+
+const PREFETCH_OPTIONS = {
+    enabled: process.env.PREFETCH !== 'false',
+    episodes: parseInt(process.env.PREFETCH_EPISODES, 10) || 2, // episodes ahead of the one requested
+    maxQueue: parseInt(process.env.PREFETCH_QUEUE, 10) || 20,
+    idlePoll: 2000
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ✅ Bounded FIFO worked by a single runner. Jobs are dropped, never queued
+// unboundedly, and the runner waits until no interactive request is short of a browser.
+class Prefetcher {
+    constructor({ nextEpisodes, warm, options = {} }) {
+        this.nextEpisodes = nextEpisodes;
+        this.warm = warm;
+        this.options = { ...PREFETCH_OPTIONS, ...options };
+        this.queue = new Map();
+        this.running = false;
+    }
+
+    // Fire-and-forget: called after a series request has been answered
+    schedule(imdbId, season, episode) {
+        if (!this.options.enabled) return;
+
+        this.nextEpisodes(imdbId, Number(season), Number(episode), this.options.episodes)
+            .then(upcoming => {
+                for (const next of upcoming) this._enqueue({ imdbId, ...next });
+                this._run();
+            })
+            .catch(error => logger.warn(`⚠️ Prefetch planning failed for ${imdbId}: ${error.message}`));
+    }
+
+    _enqueue(job) {
+        const key = `${job.imdbId}:${job.season}:${job.episode}`;
+        if (this.queue.has(key)) return;
+        if (this.queue.size >= this.options.maxQueue) {
+            logger.debug(`⏭️ Prefetch queue full, skipping ${key}`);
+            return;
+        }
+        this.queue.set(key, job);
+    }
+
+    _browsersIdle() {
+        const { active, waiting, capacity } = browserPool.stats();
+        return waiting === 0 && active < capacity;
+    }
+
+    async _run() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            while (this.queue.size > 0) {
+                while (!this._browsersIdle()) await sleep(this.options.idlePoll);
+
+                const [key, job] = this.queue.entries().next().value;
+                this.queue.delete(key);
+                try {
+                    logger.info(`🔮 Prefetching ${job.imdbId} S${job.season}E${job.episode}`);
+                    await this.warm(job);
+                } catch (error) {
+                    logger.warn(`⚠️ Prefetch failed for ${key}: ${error.message}`);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = Prefetcher;
@@ -0,0 +1,207 @@
+//provider-health.js - GLOBAL PROVIDER HEALTH WITH A CIRCUIT BREAKER
+// failureCache remembers what failed for one title; this tracks whether a provider
+// works at all, across every title, and stops launching browsers for broken ones.
+const logger = require('./logger');
+
+const HEALTH_OPTIONS = {
+    window: parseInt(process.env.HEALTH_WINDOW, 10) || 20,                 // outcomes kept per provider
+    failureThreshold: parseInt(process.env.HEALTH_FAILURE_THRESHOLD, 10) || 5, // consecutive failures that open the circuit
+    minSuccessRate: 0.2,                                                   // ...or a success rate below this
+    minSamples: 10,                                                        // ...once we have this many outcomes
+    openDuration: parseInt(process.env.HEALTH_OPEN_MS, 10) || 5 * 60 * 1000, // wait before a half-open probe
+    probeInterval: 60 * 1000                                               // how often open circuits are checked
+};
+
+const providers = new Map();
+
+function getState(name) {
+    if (!providers.has(name)) {
+        providers.set(name, {
+            outcomes: [],          // true = streams found
+            latency: null,         // EWMA in ms
+            consecutiveFailures: 0,
+            circuit: 'closed',     // closed | open | half-open
+            openedAt: 0,
+            probeInFlight: false,
+            lastError: null,
+            lastSuccessAt: 0,
+            paths: { http: 0, browser: 0, httpFallback: 0 }, // what produced each extraction
+            lastPath: null
+        });
+    }
+    return providers.get(name);
+}
+
+function successRate(state) {
+    if (state.outcomes.length === 0) return 1;
+    return state.outcomes.filter(Boolean).length / state.outcomes.length;
+}
+
+function pushOutcome(state, success, latency) {
+    state.outcomes.push(success);
+    if (state.outcomes.length > HEALTH_OPTIONS.window) state.outcomes.shift();
+    state.latency = state.latency === null ? latency : Math.round(state.latency * 0.7 + latency * 0.3);
+}
+
+function openCircuit(name, state, reason) {
+    state.circuit = 'open';
+    state.openedAt = Date.now();
+    state.probeInFlight = false;
+    logger.warn(`🔌 Circuit OPEN for ${name}: ${reason}`);
+}
+
+function recordSuccess(name, latency) {
+    const state = getState(name);
+    pushOutcome(state, true, latency);
+    state.consecutiveFailures = 0;
+    state.lastSuccessAt = Date.now();
+    if (state.circuit !== 'closed') {
+        // Start the recovered provider with a clean window
+        state.outcomes = [true];
+        logger.info(`🔌 Circuit CLOSED for ${name}: probe succeeded`);
+    }
+    state.circuit = 'closed';
+    state.probeInFlight = false;
+}
+
+// ✅ Errors and timeouts: the provider itself is failing
+function recordFailure(name, latency, error) {
+    const state = getState(name);
+    pushOutcome(state, false, latency);
+    state.consecutiveFailures++;
+    state.lastError = error;
+
+    if (state.circuit === 'half-open') {
+        openCircuit(name, state, `probe failed (${error})`);
+    } else if (state.circuit === 'closed') {
+        evaluate(name, state);
+    }
+}
+
+// ✅ Ran fine but found nothing; may be the title, so it only moves the success rate
+function recordEmpty(name, latency) {
+    const state = getState(name);
+    pushOutcome(state, false, latency);
+    state.lastError = 'no streams found';
+
+    if (state.circuit === 'half-open') {
+        openCircuit(name, state, 'probe found no streams');
+    } else if (state.circuit === 'closed') {
+        evaluate(name, state);
+    }
+}
+
+function evaluate(name, state) {
+    if (state.consecutiveFailures >= HEALTH_OPTIONS.failureThreshold) {
+        openCircuit(name, state, `${state.consecutiveFailures} consecutive failures`);
+    } else if (state.outcomes.length >= HEALTH_OPTIONS.minSamples && successRate(state) < HEALTH_OPTIONS.minSuccessRate) {
+        openCircuit(name, state, `success rate ${Math.round(successRate(state) * 100)}%`);
+    }
+}
+
+// ✅ Whether to launch this provider now. Lets exactly one probe through once an
+// open circuit has cooled down; callers must record the outcome of that probe.
+function tryAcquire(name) {
+    const state = getState(name);
+    if (state.circuit === 'closed') return true;
+
+    if (state.circuit === 'open' && Date.now() - state.openedAt >= HEALTH_OPTIONS.openDuration) {
+        state.circuit = 'half-open';
+        state.probeInFlight = false;
+    }
+    if (state.circuit === 'half-open' && !state.probeInFlight) {
+        state.probeInFlight = true;
+        logger.info(`🔌 Circuit HALF-OPEN for ${name}: sending probe`);
+        return true;
+    }
+    return false;
+}
+
+// ✅ A probe let through by tryAcquire never ran (its job was shed): back to open,
+// already cooled down, so the next selection or probe round can try again
+function releaseProbe(name) {
+    const state = getState(name);
+    if (state.circuit !== 'half-open' || !state.probeInFlight) return;
+    state.circuit = 'open';
+    state.probeInFlight = false;
+}
+
+// Lower is better: configured priority, pushed back by failures and slowness
+function score(source) {
+    const state = getState(source.name);
+    const latencyPenalty = state.latency === null ? 0 : state.latency / 10000;
+    return (source.priority || 0) + (1 - successRate(state)) * 10 + latencyPenalty;
+}
+
+// ✅ Sources worth running, best first. Open circuits are skipped.
+function selectSources(sources) {
+    return [...sources]
+        .sort((a, b) => score(a) - score(b))
+        .filter(source => tryAcquire(source.name));
+}
+
+// ✅ Probe cooled-down open circuits in the background so a provider that came back
+// is noticed even when no user happens to ask for a title meanwhile.
+// `probe(name)` resolves to the number of streams found and rejects on failure.
+function startProbing(probe) {
+    const timer = setInterval(async () => {
+        for (const [name, state] of providers) {
+            if (state.circuit !== 'open' || !tryAcquire(name)) continue;
+
+            const startTime = Date.now();
+            try {
+                const found = await probe(name);
+                if (found > 0) recordSuccess(name, Date.now() - startTime);
+                else recordEmpty(name, Date.now() - startTime);
+            } catch (error) {
+                recordFailure(name, Date.now() - startTime, error.message);
+            }
+        }
+    }, HEALTH_OPTIONS.probeInterval);
+    timer.unref();
+    return timer;
+}
+
+// ✅ Which path served an extraction: 'http', 'browser', or 'httpFallback'
+// (resolveHttp came back empty and the browser took over)
+function recordPath(name, path) {
+    const state = getState(name);
+    state.paths[path]++;
+    if (path !== 'httpFallback') state.lastPath = path;
+}
+
+// Success rate (0..1) and latency EWMA (ms, or null) for ranking
+function healthOf(name) {
+    const state = getState(name);
+    return { successRate: successRate(state), latency: state.latency };
+}
+
+function snapshot() {
+    const result = {};
+    for (const [name, state] of providers) {
+        result[name] = {
+            circuit: state.circuit,
+            successRate: Math.round(successRate(state) * 100) / 100,
+            samples: state.outcomes.length,
+            latency: state.latency,
+            consecutiveFailures: state.consecutiveFailures,
+            lastError: state.lastError,
+            lastSuccessAt: state.lastSuccessAt || null,
+            paths: { ...state.paths },
+            lastPath: state.lastPath
+        };
+    }
+    return result;
+}
+
+module.exports = {
+    recordSuccess,
+    recordFailure,
+    recordEmpty,
+    selectSources,
+    releaseProbe,
+    startProbing,
+    recordPath,
+    healthOf,
+    snapshot
+};
@@ -0,0 +1,6 @@
+//providers/autoembed-hindi.js
+module.exports = {
+    name: 'autoembed-hindi',
+    enabled: false,
+    language: 'hi'
+};
@@ -0,0 +1,5 @@
+//providers/autoembed.js
+module.exports = {
+    name: 'autoembed',
+    enabled: false
+};
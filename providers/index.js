@@ -0,0 +1,233 @@
+//providers/index.js - PROVIDER MODULE LOADER
+// Every other .js file in this directory is a provider module with its behaviour
+// (request matching, resolveHttp...); anything left out falls back to PROVIDER_DEFAULTS.
+// Domains and URL templates live in config.json (PROVIDERS_CONFIG), which is
+// re-read whenever it changes, so a dead domain is a config edit, not a deploy.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const CONFIG_OPTIONS = {
+    path: process.env.PROVIDERS_CONFIG || path.join(__dirname, 'config.json'),
+    watchInterval: parseInt(process.env.PROVIDERS_CONFIG_POLL_MS, 10) || 5000
+};
+
+// Config keys that override the module; everything else in a config entry is ignored
+const CONFIG_FIELDS = ['enabled', 'language', 'idType', 'blockPatterns', 'wait', 'mirrors', 'urls'];
+
+// ✅ Requests blocked for every provider, on top of each provider's own blockPatterns
+const SHARED_BLOCK_PATTERNS = [
+    'analytics',
+    'ads',
+    'social',
+    'disable-devtool',
+    'cloudflareinsights',
+    'ainouzaudre',
+    'pixel.embed',
+    'histats'
+];
+
+const STREAM_PATTERNS = ['.mp4', '.m3u8', '/mp4', 'kendrickl'];
+const SUBTITLE_PATTERN = /\.(vtt|srt)(\?|#|$)/i;
+
+const PROVIDER_DEFAULTS = {
+    enabled: true,
+    language: 'en',
+    // Which id `url` receives: 'imdb' (tt...) or 'tmdb' (resolved through metadata.js)
+    idType: 'imdb',
+    // Extra URL substrings or RegExps to abort
+    blockPatterns: [],
+    // Is this request a stream we should capture?
+    matchRequest: requestUrl => STREAM_PATTERNS.some(pattern => requestUrl.includes(pattern)),
+    // Matched requests that are still not streams (decoys, player assets...)
+    ignoreRequest: () => false,
+    // Is this request a subtitle file the player loaded?
+    matchSubtitle: requestUrl => SUBTITLE_PATTERN.test(requestUrl),
+    wait: {
+        waitUntil: 'networkidle2',
+        pageTimeout: 20000,   // page.goto timeout
+        streamTimeout: 15000, // how long to wait for streams once the page loaded
+        minStreams: 1,        // stop waiting once this many requests were captured
+        httpTimeout: 8000     // per request made by resolveHttp
+    },
+    // Optional browser-free resolver, tried before Chrome:
+    // ({ baseUrl, pageUrl, type, id, imdbId, season, episode, http }) => [{ url, label?, headers? }]
+    // `pageUrl` is the embed page the browser would open, `http` an axios instance. Unlabelled playlists are expanded into variants.
+    // Throw or return [] to fall back to the browser.
+    resolveHttp: null,
+    // (streams, { type, id, season, episode }) => streams
+    postProcess: streams => streams,
+    // Optional: url => expiry (ms since the epoch) for token schemes stream-expiry.js doesn't know
+    parseExpiry: null
+};
+
+// ✅ Failures that mean "this domain is gone", not "this title isn't there": DNS,
+// refused/reset connections, TLS, and Cloudflare's origin-down pages
+const MIRROR_ERROR_CODES = [
+    'ERR_NAME_NOT_RESOLVED', 'ERR_NAME_RESOLUTION_FAILED', 'ERR_CONNECTION_REFUSED', 'ERR_CONNECTION_RESET',
+    'ERR_CONNECTION_CLOSED', 'ERR_CONNECTION_FAILED', 'ERR_ADDRESS_UNREACHABLE', 'ERR_SSL_PROTOCOL_ERROR',
+    'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROTO'
+];
+const CLOUDFLARE_STATUSES = [520, 521, 522, 523, 524, 525, 526, 530];
+
+class MirrorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MirrorError';
+    }
+}
+
+function isMirrorFailure(error) {
+    if (error instanceof MirrorError) return true;
+    if (error.response && CLOUDFLARE_STATUSES.includes(error.response.status)) return true;
+    return MIRROR_ERROR_CODES.some(code => error.code === code || String(error.message).includes(code));
+}
+
+// Throws a MirrorError for a Cloudflare error page (page.goto response or status code)
+function checkMirrorStatus(status, baseUrl) {
+    if (CLOUDFLARE_STATUSES.includes(status)) throw new MirrorError(`${baseUrl} answered Cloudflare ${status}`);
+}
+
+// ✅ The mirror that worked last first, then the rest in config order
+function mirrorCandidates(provider) {
+    return [provider.baseUrl, ...provider.mirrors.filter(mirror => mirror !== provider.baseUrl)];
+}
+
+function markMirror(provider, baseUrl) {
+    if (provider.baseUrl === baseUrl) return;
+    logger.info(`🪞 ${provider.name} now uses mirror ${baseUrl} (was ${provider.baseUrl})`);
+    provider.baseUrl = baseUrl;
+}
+
+// "{baseUrl}/tv/{id}/{season}/{episode}" -> url({ baseUrl, type, id, season, episode })
+function templateUrl(urls) {
+    return ({ type, ...values }) => (type === 'movie' ? urls.movie : urls.series)
+        .replace(/\{(\w+)\}/g, (_, key) => (values[key] === undefined || values[key] === null ? '' : values[key]));
+}
+
+function matchesPattern(requestUrl, pattern) {
+    return pattern instanceof RegExp ? pattern.test(requestUrl) : requestUrl.includes(pattern);
+}
+
+function isBlocked(provider, requestUrl) {
+    return SHARED_BLOCK_PATTERNS.some(pattern => matchesPattern(requestUrl, pattern)) ||
+        provider.blockPatterns.some(pattern => matchesPattern(requestUrl, pattern));
+}
+
+function readConfig(file = CONFIG_OPTIONS.path) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadDefinitions(dir) {
+    const definitions = {};
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        if (!file.endsWith('.js') || file === 'index.js') continue;
+
+        try {
+            const definition = require(path.join(dir, file));
+            if (!definition.name) throw new Error('name is required');
+            definitions[definition.name] = definition;
+        } catch (error) {
+            logger.error(`❌ Failed to load provider ${file}: ${error.message}`);
+        }
+    }
+    return definitions;
+}
+
+// Module, then config on top. A config entry without a module is a provider with default behaviour.
+function buildProvider(name, definition = {}, entry = {}) {
+    const settings = Object.fromEntries(CONFIG_FIELDS.filter(field => field in entry).map(field => [field, entry[field]]));
+    const merged = { ...PROVIDER_DEFAULTS, ...definition, ...settings, name };
+
+    merged.mirrors = (merged.mirrors || (definition.baseUrl ? [definition.baseUrl] : [])).map(mirror => mirror.replace(/\/$/, ''));
+    merged.url = merged.urls ? templateUrl(merged.urls) : definition.url;
+    merged.wait = { ...PROVIDER_DEFAULTS.wait, ...definition.wait, ...settings.wait };
+    delete merged.urls;
+
+    if (merged.mirrors.length === 0 || typeof merged.url !== 'function') {
+        throw new Error('needs mirrors and urls in the config (or baseUrl and url() in its module)');
+    }
+    return merged;
+}
+
+// ✅ Rebuild `providers` in place from the modules and `config`, so objects handed out
+// by getProvider() pick up new mirrors and templates. A provider keeps its working
+// mirror across reloads as long as the config still lists it.
+function applyConfig(providers, definitions, config) {
+    const names = new Set([...Object.keys(definitions), ...Object.keys(config)]);
+
+    for (const name of names) {
+        let built;
+        try {
+            built = buildProvider(name, definitions[name], config[name]);
+        } catch (error) {
+            logger.warn(`⚠️ Skipping provider ${name}: ${error.message}`);
+            delete providers[name];
+            continue;
+        }
+        if (built.enabled === false) {
+            logger.debug(`⏸️ Provider ${name} is disabled`);
+            delete providers[name];
+            continue;
+        }
+
+        const current = providers[name];
+        built.baseUrl = current && built.mirrors.includes(current.baseUrl) ? current.baseUrl : built.mirrors[0];
+        if (current) {
+            for (const key of Object.keys(current)) delete current[key];
+            Object.assign(current, built);
+        } else {
+            providers[name] = built;
+        }
+    }
+    for (const name of Object.keys(providers)) {
+        if (!names.has(name)) delete providers[name];
+    }
+    return providers;
+}
+
+function loadProviders(dir = __dirname, configPath = CONFIG_OPTIONS.path) {
+    return applyConfig({}, loadDefinitions(dir), readConfig(configPath));
+}
+
+const definitions = loadDefinitions(__dirname);
+const providers = applyConfig({}, definitions, readConfig());
+
+// ✅ Re-read the config; a file that doesn't parse leaves the running providers alone
+function reloadConfig(file = CONFIG_OPTIONS.path) {
+    let config;
+    try {
+        config = readConfig(file);
+    } catch (error) {
+        logger.error(`❌ Provider config ${file} not reloaded: ${error.message}`);
+        return false;
+    }
+    applyConfig(providers, definitions, config);
+    logger.info(`🔄 Provider config reloaded: ${Object.keys(providers).join(', ')}`);
+    return true;
+}
+
+// Polling works on every filesystem (bind mounts, network drives) where fs.watch may not
+fs.watchFile(CONFIG_OPTIONS.path, { interval: CONFIG_OPTIONS.watchInterval, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) reloadConfig();
+});
+
+function getProvider(name) {
+    return providers[name] || null;
+}
+
+module.exports = {
+    providers,
+    getProvider,
+    loadProviders,
+    reloadConfig,
+    isBlocked,
+    isMirrorFailure,
+    checkMirrorStatus,
+    mirrorCandidates,
+    markMirror,
+    MirrorError,
+    SHARED_BLOCK_PATTERNS
+};
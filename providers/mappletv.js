@@ -0,0 +1,4 @@
+//providers/mappletv.js
+module.exports = {
+    name: 'mappletv'
+};
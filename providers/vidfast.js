@@ -0,0 +1,4 @@
+//providers/vidfast.js
+module.exports = {
+    name: 'vidfast'
+};
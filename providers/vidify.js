@@ -0,0 +1,4 @@
+//providers/vidify.js - No ads
+module.exports = {
+    name: 'vidify'
+};
@@ -0,0 +1,6 @@
+//providers/vidjoy.js
+module.exports = {
+    name: 'vidjoy',
+    // Player requests back to vidjoy itself are never the stream
+    ignoreRequest: requestUrl => requestUrl.includes('vidjoy')
+};
@@ -0,0 +1,4 @@
+//providers/vidlink.js
+module.exports = {
+    name: 'vidlink'
+};
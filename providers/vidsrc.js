@@ -0,0 +1,5 @@
+//providers/vidsrc.js
+module.exports = {
+    name: 'vidsrc',
+    enabled: false
+};
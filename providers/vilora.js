@@ -0,0 +1,5 @@
+//providers/vilora.js
+module.exports = {
+    name: 'vilora',
+    enabled: false
+};
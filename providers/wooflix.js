@@ -0,0 +1,21 @@
+//providers/wooflix.js
+// The watch page frames an embed whose <video> names the file directly, so two
+// plain requests find it. The embed checks the Referer, and so does the file.
+const IFRAME_SRC = /<iframe[^>]+src=["']([^"']+)["']/i;
+const VIDEO_SRC = /<(?:source|video)[^>]+src=["']([^"']+\.(?:mp4|m3u8)[^"']*)["']/i;
+
+module.exports = {
+    name: 'wooflix',
+    resolveHttp: async ({ pageUrl, http }) => {
+        const { data: page } = await http.get(pageUrl);
+        const iframe = IFRAME_SRC.exec(page);
+        if (!iframe) return [];
+
+        const embedUrl = new URL(iframe[1], pageUrl).href;
+        const { data: embed } = await http.get(embedUrl, { headers: { Referer: pageUrl } });
+        const video = VIDEO_SRC.exec(embed);
+        if (!video) return [];
+
+        return [{ url: new URL(video[1], embedUrl).href, headers: { Referer: embedUrl } }];
+    }
+};
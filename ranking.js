@@ -0,0 +1,122 @@
+//ranking.js - CROSS-PROVIDER DEDUPLICATION AND STREAM SCORING
+// Providers often embed the same CDN, so one file can come back from several of
+// them with different tokens. Those collapse to one entry, and what is left is
+// ordered by a weighted score instead of by the quality tag in its name.
+const { getProvider } = require('./providers');
+const { qualityRank, QUALITY_LEVELS } = require('./user-config');
+const providerHealth = require('./provider-health');
+
+// "quality=4,verified=3" overrides single weights; 0 turns a signal off
+const DEFAULT_WEIGHTS = {
+    language: 5, // provider matches the preferred language
+    quality: 4,  // resolution, or a neutral guess when unknown
+    verified: 3, // stream-verifier result
+    health: 2,   // provider success rate
+    latency: 1   // provider extraction speed
+};
+
+function parseWeights(value) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    for (const pair of String(value || '').split(',')) {
+        const [key, weight] = pair.split('=').map(part => part && part.trim());
+        if (key in weights && !Number.isNaN(Number(weight))) weights[key] = Number(weight);
+    }
+    return weights;
+}
+
+const RANKING_WEIGHTS = parseWeights(process.env.RANKING_WEIGHTS);
+
+const UNKNOWN_QUALITY_RANK = QUALITY_LEVELS.indexOf('720p');
+
+// Query parameters that only carry auth or expiry, never a different file
+const VOLATILE_PARAMS = /^(token|tok|t|e|exp|expires|expiry|st|sig|signature|hash|h|md5|key-pair-id|policy|auth|acl|hdnts|hdnea|ip|ttl|validfrom|validto)$/i;
+// Path segments that carry auth rather than name a file: "key=value" tokens (Akamai
+// "exp=..~hmac=..", "hdnts=..") and JWTs. Long bare ids are kept: they are as often
+// the file id as a session, and merging two different files loses one of them.
+const TOKEN_SEGMENT = /^([a-z_]+=[^/]*|[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,})$/i;
+
+// Stream names are always "<provider> <label>"
+function providerOf(name) {
+    return name.split(' ')[0];
+}
+
+function isPreferredLanguage(name, language) {
+    if (!language) return false;
+    const provider = getProvider(providerOf(name));
+    if (provider && provider.language === language) return true;
+    return language === 'hi' && /hindi/i.test(name);
+}
+
+// ✅ Same file through different providers/sessions -> same key
+function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    const segments = parsed.pathname.split('/')
+        .map(segment => (TOKEN_SEGMENT.test(segment) && !/\.(m3u8|mp4|ts|mkv)$/i.test(segment) ? '*' : segment));
+    const params = [...parsed.searchParams]
+        .filter(([name]) => !VOLATILE_PARAMS.test(name))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, value]) => `${name}=${value}`);
+    return `${parsed.hostname.toLowerCase()}${segments.join('/')}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+// Each signal is 0..1 so the weights alone decide how much it counts
+function signals(name, stream, settings) {
+    const rank = qualityRank(name);
+    const health = providerHealth.healthOf(providerOf(name));
+    return {
+        language: isPreferredLanguage(name, settings.language) ? 1 : 0,
+        // Unknown quality counts as 720p rather than worst: direct links are often the best source
+        quality: (rank === -1 ? UNKNOWN_QUALITY_RANK : rank) / (QUALITY_LEVELS.length - 1),
+        verified: stream.status === 'ok' ? 1 : stream.status === 'dead' ? 0 : 0.5,
+        health: health.successRate,
+        latency: health.latency === null ? 0.5 : 1 - Math.min(health.latency / 30000, 1)
+    };
+}
+
+function scoreStream(name, stream, settings, weights = RANKING_WEIGHTS) {
+    const values = signals(name, stream, settings);
+    return Object.keys(weights).reduce((sum, key) => sum + weights[key] * values[key], 0);
+}
+
+// ✅ [name, stream] entries -> deduplicated, best first. Ties fall back to
+// bitrate and then the name, so the order never changes between requests.
+function rankStreams(entries, settings, weights = RANKING_WEIGHTS) {
+    const scored = entries.map(([name, stream]) => ({
+        name,
+        stream,
+        score: scoreStream(name, stream, settings, weights),
+        bandwidth: (stream.variant && stream.variant.bandwidth) || 0
+    }));
+
+    scored.sort((a, b) =>
+        b.score - a.score ||
+        b.bandwidth - a.bandwidth ||
+        a.name.localeCompare(b.name)
+    );
+
+    // Best-scored copy of each file wins. The quality is part of the key so that
+    // renditions whose token is the only thing telling them apart both survive.
+    const seen = new Set();
+    return scored
+        .filter(({ name, stream }) => {
+            const key = `${qualityRank(name)}|${normalizeUrl(stream.url)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(({ name, stream }) => [name, stream]);
+}
+
+module.exports = {
+    rankStreams,
+    scoreStream,
+    normalizeUrl,
+    providerOf,
+    isPreferredLanguage,
+    RANKING_WEIGHTS
+};
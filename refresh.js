@@ -0,0 +1,112 @@
+//refresh.js - STALE-WHILE-REVALIDATE FOR CACHED STREAMS
+// A stream cache entry goes stale after its soft TTL and is dropped at its hard
+// TTL. Stale entries are still served while a background extraction replaces them,
+// and the most requested titles are refreshed as soon as they go stale, before
+// anyone has to wait on a full scrape for them.
+const logger = require('./logger');
+const browserPool = require('./browser-pool');
+
+const REFRESH_OPTIONS = {
+    enabled: process.env.STALE_REFRESH !== 'false',
+    interval: (parseInt(process.env.REFRESH_INTERVAL, 10) || 120) * 1000, // between proactive rounds
+    budget: parseInt(process.env.REFRESH_BUDGET, 10) || 5,               // proactive refreshes per round
+    minHits: parseInt(process.env.REFRESH_MIN_HITS, 10) || 3,            // hits that make a title popular
+    retryAfter: 300 * 1000,                                              // between two refreshes of one entry
+    maxTracked: 2000
+};
+
+// ✅ Tracks hits per cache entry and runs refreshes through `refresh(job)`.
+// `isStale(job)` tells whether an entry is past its soft TTL and still cached.
+class Refresher {
+    constructor({ isStale, refresh, options = {} }) {
+        this.isStale = isStale;
+        this.refresh = refresh;
+        this.options = { ...REFRESH_OPTIONS, ...options };
+        this.entries = new Map(); // key -> { job, hits, lastRefresh }
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Called on every request for an entry, hit or miss
+    recordHit(key, job) {
+        const entry = this.entries.get(key) || { job, hits: 0, lastRefresh: 0 };
+        entry.job = job;
+        entry.hits++;
+        this.entries.delete(key); // re-inserted last, so the oldest are evicted first
+        this.entries.set(key, entry);
+        if (this.entries.size > this.options.maxTracked) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // ✅ Fire-and-forget refresh of a stale entry that was just served.
+    // Resolves true when a refresh ran.
+    async revalidate(key, job) {
+        if (!this.options.enabled) return false;
+
+        const entry = this.entries.get(key) || { job, hits: 0, lastRefresh: 0 };
+        if (Date.now() - entry.lastRefresh < this.options.retryAfter) return false;
+        entry.lastRefresh = Date.now();
+        this.entries.set(key, entry);
+
+        try {
+            logger.info(`♻️ Refreshing stale ${key}`);
+            await this.refresh(job);
+            return true;
+        } catch (error) {
+            logger.warn(`⚠️ Refresh failed for ${key}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Most requested first, only those with at least `minHits`
+    popular() {
+        return [...this.entries]
+            .filter(([, entry]) => entry.hits >= this.options.minHits)
+            .sort(([, a], [, b]) => b.hits - a.hits);
+    }
+
+    _browsersIdle() {
+        const { active, waiting, capacity } = browserPool.stats();
+        return waiting === 0 && active < capacity;
+    }
+
+    // ✅ One proactive round: refresh up to `budget` stale popular entries, one at
+    // a time and only while no interactive request is short of a browser. Hit counts
+    // halve afterwards so popularity follows recent demand.
+    async tick() {
+        if (this.running) return 0;
+        this.running = true;
+        let refreshed = 0;
+        try {
+            for (const [key, entry] of this.popular()) {
+                if (refreshed >= this.options.budget || !this._browsersIdle()) break;
+                if (!await this.isStale(entry.job)) continue;
+                if (await this.revalidate(key, entry.job)) refreshed++;
+            }
+        } finally {
+            for (const [key, entry] of this.entries) {
+                entry.hits = Math.floor(entry.hits / 2);
+                if (entry.hits === 0 && Date.now() - entry.lastRefresh >= this.options.retryAfter) this.entries.delete(key);
+            }
+            this.running = false;
+        }
+        if (refreshed > 0) logger.info(`♻️ Refreshed ${refreshed} popular titles ahead of expiry`);
+        return refreshed;
+    }
+
+    start() {
+        if (!this.options.enabled || this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => logger.warn(`⚠️ Refresh round failed: ${error.message}`));
+        }, this.options.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = Refresher;
@@ -0,0 +1,163 @@
+//scheduler.js - GLOBAL QUEUE FOR PROVIDER EXTRACTIONS
+// Every provider run of every request goes through here: a global cap on browser
+// jobs, a cap per provider, interactive work ahead of background work, and a
+// bounded queue that sheds load instead of piling up Chromes.
+const { AsyncResource } = require('async_hooks');
+const logger = require('./logger');
+const browserPool = require('./browser-pool');
+const metrics = require('./metrics');
+
+const SCHEDULER_OPTIONS = {
+    maxJobs: parseInt(process.env.SCHEDULER_MAX_JOBS, 10) || browserPool.stats().capacity, // concurrent provider runs
+    maxPerProvider: parseInt(process.env.SCHEDULER_PROVIDER_MAX, 10) || 2,
+    maxQueue: parseInt(process.env.SCHEDULER_QUEUE, 10) || 30,
+    maxWait: parseInt(process.env.SCHEDULER_MAX_WAIT_MS, 10) || 20000 // queued longer than this is shed
+};
+
+// ✅ Thrown when a job is shed; callers tell users the server is busy
+class SchedulerBusyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchedulerBusyError';
+    }
+}
+
+class Scheduler {
+    constructor(options = {}) {
+        this.options = { ...SCHEDULER_OPTIONS, ...options };
+        this.queue = [];
+        this.running = 0;
+        this.runningByProvider = new Map();
+        this.sequence = 0;
+        this.shed = 0;
+    }
+
+    // ✅ Run `task()` for `provider` once a slot is free. `rank` is the source's
+    // SOURCES priority; lower runs first among jobs of the same priority.
+    // With `timeout` (ms from the start), the caller gets a timeout error then, but the
+    // slot stays taken until the task settles: a timed-out extraction still holds its
+    // pooled page, and the caps are only real if they count it.
+    run({ provider, priority = 'interactive', rank = 0, timeout = 0 }, task) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                provider,
+                background: priority === 'background',
+                rank,
+                timeout,
+                sequence: this.sequence++,
+                // Runs in the caller's async context (log trails), not that of whichever job freed the slot
+                task: AsyncResource.bind(task),
+                resolve,
+                reject,
+                timer: null
+            };
+
+            if (this.queue.length >= this.options.maxQueue && !this._makeRoom(job)) {
+                this._shed(job, 'queue full');
+                return;
+            }
+
+            job.timer = setTimeout(() => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    this._shed(job, `waited ${this.options.maxWait}ms`);
+                }
+            }, this.options.maxWait);
+
+            this._insert(job);
+            this._drain();
+        });
+    }
+
+    // Interactive requests can't be served at all once the queue is full of them
+    saturated() {
+        return this.queue.length >= this.options.maxQueue && this.queue.every(job => !job.background);
+    }
+
+    stats() {
+        return {
+            running: this.running,
+            queued: this.queue.length,
+            maxJobs: this.options.maxJobs,
+            shed: this.shed,
+            byProvider: Object.fromEntries(this.runningByProvider)
+        };
+    }
+
+    // Interactive before background, then SOURCES priority, then arrival
+    _insert(job) {
+        const before = queued =>
+            (job.background ? 1 : 0) - (queued.background ? 1 : 0) ||
+            job.rank - queued.rank ||
+            job.sequence - queued.sequence;
+        const index = this.queue.findIndex(queued => before(queued) < 0);
+        if (index === -1) this.queue.push(job);
+        else this.queue.splice(index, 0, job);
+    }
+
+    // A full queue gives up its newest background job for interactive work
+    _makeRoom(job) {
+        if (job.background) return false;
+        for (let index = this.queue.length - 1; index >= 0; index--) {
+            if (this.queue[index].background) {
+                const [dropped] = this.queue.splice(index, 1);
+                this._shed(dropped, 'making room for interactive work');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _shed(job, reason) {
+        clearTimeout(job.timer);
+        this.shed++;
+        metrics.schedulerShed.inc({ priority: job.background ? 'background' : 'interactive' });
+        logger.warn(`🚦 Shedding ${job.background ? 'background' : 'interactive'} ${job.provider} job: ${reason}`);
+        job.reject(new SchedulerBusyError(`${job.provider} shed: ${reason}`));
+    }
+
+    _drain() {
+        for (let index = 0; index < this.queue.length && this.running < this.options.maxJobs;) {
+            const job = this.queue[index];
+            if ((this.runningByProvider.get(job.provider) || 0) >= this.options.maxPerProvider) {
+                index++; // provider is at its cap; later jobs for other providers may still start
+                continue;
+            }
+            this.queue.splice(index, 1);
+            this._start(job);
+        }
+    }
+
+    _start(job) {
+        clearTimeout(job.timer);
+        this.running++;
+        this.runningByProvider.set(job.provider, (this.runningByProvider.get(job.provider) || 0) + 1);
+
+        let deadline = null;
+        if (job.timeout) {
+            deadline = setTimeout(() => job.reject(new Error(`${job.provider} timeout after ${job.timeout}ms`)), job.timeout);
+        }
+
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                clearTimeout(deadline);
+                this.running--;
+                const remaining = this.runningByProvider.get(job.provider) - 1;
+                if (remaining > 0) this.runningByProvider.set(job.provider, remaining);
+                else this.runningByProvider.delete(job.provider);
+                this._drain();
+            });
+    }
+}
+
+const scheduler = new Scheduler();
+
+metrics.registerGauge('bytewatch_scheduler_running', 'Provider extractions running', () => scheduler.stats().running);
+metrics.registerGauge('bytewatch_scheduler_queued', 'Provider extractions waiting for a slot', () => scheduler.stats().queued);
+
+module.exports = scheduler;
+module.exports.Scheduler = Scheduler;
+module.exports.SchedulerBusyError = SchedulerBusyError;
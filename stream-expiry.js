@@ -0,0 +1,153 @@
+//stream-expiry.js - WHEN A CAPTURED STREAM URL STOPS WORKING
+// Signed CDN links carry their own deadline: expires=/e= style query parameters,
+// Akamai "exp=" tokens, AWS X-Amz-Date + X-Amz-Expires, JWT "exp" claims. Each
+// stream gets `expiresAt` (ms) from those, so caches never hand out a link past it.
+const { getProvider } = require('./providers');
+const { providerOf } = require('./ranking');
+
+const EXPIRY_OPTIONS = {
+    margin: (parseInt(process.env.STREAM_EXPIRY_MARGIN, 10) || 120) * 1000, // treat links as expired this much early
+    minTtl: 60,                                                            // seconds; shortest cache entry worth writing
+    horizon: 365 * 86400 * 1000                                            // later "deadlines" are not expiry stamps
+};
+
+// Query parameters whose numeric value is an expiry timestamp
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'expiration', 'exp', 'e', 'valid_until', 'validto', 'deadline'];
+// exp=/expires= inside another value (Akamai "hdnts=st=...~exp=...~acl=...", path tokens)
+const EMBEDDED_EXPIRY = /(?:^|[~!/,;&?])(?:exp|expires)=(\d{10,13})(?=$|[~!/,;&#])/gi;
+const JWT = /^[\w-]{10,}\.([\w-]{10,})\.[\w-]*$/;
+
+// Seconds or milliseconds since the epoch -> ms, or null when it isn't a plausible deadline
+function toDeadline(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    const ms = number > 1e12 ? number : number * 1000;
+    const now = Date.now();
+    return ms > now - 86400 * 1000 && ms < now + EXPIRY_OPTIONS.horizon ? ms : null;
+}
+
+function jwtExpiry(token) {
+    const match = JWT.exec(token);
+    if (!match) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(match[1], 'base64url').toString());
+        return claims && claims.exp ? toDeadline(claims.exp) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// "20261019T055959Z" + seconds
+function amzExpiry(params) {
+    const date = params.get('X-Amz-Date');
+    const seconds = Number(params.get('X-Amz-Expires'));
+    const match = date && /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(date);
+    if (!match || !seconds) return null;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return toDeadline(Date.UTC(year, month - 1, day, hour, minute, second) + seconds * 1000);
+}
+
+// ✅ Earliest deadline any of the known schemes finds in `url`, or null
+function genericExpiry(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    const found = [amzExpiry(parsed.searchParams)];
+    for (const [name, value] of parsed.searchParams) {
+        if (EXPIRY_PARAMS.includes(name.toLowerCase())) found.push(toDeadline(value));
+        found.push(jwtExpiry(value));
+    }
+    for (const segment of parsed.pathname.split('/')) found.push(jwtExpiry(segment));
+    for (const [, value] of decodeURIComponent(parsed.pathname + parsed.search).matchAll(EMBEDDED_EXPIRY)) {
+        found.push(toDeadline(value));
+    }
+
+    const deadlines = found.filter(Boolean);
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
+
+// ✅ Deadline the caching headers of a response give (Cache-Control max-age, else
+// Expires). Anything shorter than minTtl is a reload hint for a live playlist, not
+// how long the link lives.
+function headerExpiry(headers = {}, now = Date.now()) {
+    const maxAge = /(?:^|[,\s])(?:s-maxage|max-age)=(\d+)/i.exec(headers['cache-control'] || '');
+    const deadline = maxAge ? now + Number(maxAge[1]) * 1000 : Date.parse(headers.expires || '');
+    if (!Number.isFinite(deadline) || deadline - now < EXPIRY_OPTIONS.minTtl * 1000) return null;
+    return toDeadline(deadline);
+}
+
+// ✅ Deadline for a stream URL: the provider's own parser when it has one and it
+// answers, the generic schemes otherwise
+function detectExpiry(url, providerName = null) {
+    const provider = providerName && getProvider(providerName);
+    if (provider && provider.parseExpiry) {
+        const deadline = provider.parseExpiry(url);
+        if (deadline) return deadline;
+    }
+    return genericExpiry(url);
+}
+
+function earliest(...deadlines) {
+    const known = deadlines.filter(Boolean);
+    return known.length > 0 ? Math.min(...known) : null;
+}
+
+// ✅ Set `expiresAt` on every stream from its URL, keeping a deadline the verifier
+// already found on URLs behind it (redirect targets, segments)
+function withExpiry(streams) {
+    return Object.fromEntries(Object.entries(streams).map(([name, stream]) => {
+        const expiresAt = earliest(stream.expiresAt, detectExpiry(stream.url, providerOf(name)));
+        return [name, expiresAt ? { ...stream, expiresAt } : stream];
+    }));
+}
+
+function isExpired(stream, now = Date.now()) {
+    return Boolean(stream.expiresAt) && now >= stream.expiresAt - EXPIRY_OPTIONS.margin;
+}
+
+// { live, expired } name -> stream maps
+function splitExpired(streams, now = Date.now()) {
+    const live = {};
+    const expired = {};
+    for (const [name, stream] of Object.entries(streams)) {
+        (isExpired(stream, now) ? expired : live)[name] = stream;
+    }
+    return { live, expired };
+}
+
+// ✅ When the first of `streams` is no longer safe to serve (ms), or null when none
+// has a deadline. The cache entry goes stale then: its expired streams are filtered
+// out and their providers alone re-scraped (see addon.js).
+function earliestSafe(streams) {
+    const deadline = earliest(...Object.values(streams).map(stream => stream.expiresAt));
+    return deadline ? deadline - EXPIRY_OPTIONS.margin : null;
+}
+
+// ✅ Seconds to keep `streams` cached for: until the last of them is no longer safe
+// to serve, capped by `defaultTtl`, so the still-valid ones keep being served past
+// earliestSafe(). Streams without a deadline last the full default.
+// 0 means nothing in there lives long enough to be worth caching.
+function cacheTtl(streams, defaultTtl) {
+    const values = Object.values(streams);
+    if (values.length === 0 || values.some(stream => !stream.expiresAt)) return defaultTtl;
+
+    const lastSafe = Math.max(...values.map(stream => stream.expiresAt)) - EXPIRY_OPTIONS.margin;
+    const seconds = Math.min(defaultTtl, Math.floor((lastSafe - Date.now()) / 1000));
+    return seconds >= EXPIRY_OPTIONS.minTtl ? seconds : 0;
+}
+
+module.exports = {
+    detectExpiry,
+    genericExpiry,
+    headerExpiry,
+    withExpiry,
+    isExpired,
+    splitExpired,
+    earliestSafe,
+    cacheTtl,
+    earliest
+};
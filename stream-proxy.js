@@ -0,0 +1,188 @@
+//stream-proxy.js - HLS/MP4 PROXY FOR STREAMS THAT NEED THE PROVIDER'S HEADERS
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Tokens are encrypted and authenticated with a key from the secret, so the route
+// can't be used as an open proxy and the upstream URL and cookies stay unreadable.
+// Without a secret set there is no proxying: a per-process one would break every proxied URL already
+// cached or handed to a player on the next restart, or on another instance.
+const PROXY_SECRET = process.env.PROXY_SECRET || null;
+const PROXY_MODE = process.env.STREAM_PROXY || 'auto'; // off | hints | proxy | auto
+const PUBLIC_URL = (process.env.ADDON_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/$/, '');
+const TOKEN_TTL = (parseInt(process.env.PROXY_TOKEN_TTL, 10) || 6 * 3600) * 1000;
+const TOKEN_KEY = PROXY_SECRET ? crypto.createHash('sha256').update(PROXY_SECRET).digest() : null;
+
+if (!PROXY_SECRET && (PROXY_MODE === 'proxy' || (PROXY_MODE === 'auto' && PUBLIC_URL))) {
+    logger.warn('⚠️ PROXY_SECRET is not set, streams that need headers get proxyHeaders hints instead of the proxy');
+}
+
+// Headers that make a stream provider-bound; UA alone plays fine without help
+const BINDING_HEADERS = ['Referer', 'Origin', 'Cookie'];
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// ✅ base64url of iv | auth tag | AES-256-GCM({ u, h, e }), `e` being when the token dies
+function encodeToken(url, headers, expiresAt) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_KEY, iv);
+    const payload = Buffer.concat([cipher.update(JSON.stringify({ u: url, h: headers, e: expiresAt })), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), payload]).toString('base64url');
+}
+
+function decodeToken(token) {
+    const raw = Buffer.from(String(token), 'base64url');
+    if (raw.length <= 28) return null;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', TOKEN_KEY, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        const { u, h, e } = JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString());
+        if (!(e > Date.now())) return null;
+        return { url: u, headers: h || {}, expiresAt: e };
+    } catch (error) {
+        return null; // tampered, or sealed with another secret
+    }
+}
+
+// A proxied URL lives as long as the link behind it, and never past the token TTL
+function tokenExpiry(expiresAt) {
+    return Math.min(expiresAt || Infinity, Date.now() + TOKEN_TTL);
+}
+
+function isPlaylistUrl(url) {
+    return url.includes('.m3u8');
+}
+
+function proxyUrl(baseUrl, url, headers, expiresAt) {
+    const kind = isPlaylistUrl(url) ? 'playlist.m3u8' : 'file';
+    return `${baseUrl}/proxy/${encodeToken(url, headers, tokenExpiry(expiresAt))}/${kind}`;
+}
+
+// Verification settles it by retrying without the headers (`headerBound`); an
+// unverified stream is taken to need whatever binding headers it carries
+function needsHeaders(stream) {
+    if (typeof stream.headerBound === 'boolean') return stream.headerBound;
+    return BINDING_HEADERS.some(name => stream.headers && stream.headers[name]);
+}
+
+// ✅ Point every URI in a playlist back at the proxy, carrying the same headers and
+// expiry. `playlistUrl` is where the playlist was served from, after redirects.
+function rewritePlaylist(body, playlistUrl, headers, baseUrl, expiresAt) {
+    const isMaster = body.includes('#EXT-X-STREAM-INF');
+    const toProxy = (uri, asPlaylist) => {
+        const absolute = new URL(uri, playlistUrl).href;
+        return `${baseUrl}/proxy/${encodeToken(absolute, headers, tokenExpiry(expiresAt))}/${asPlaylist ? 'playlist.m3u8' : 'file'}`;
+    };
+
+    return body.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        if (trimmed.startsWith('#')) {
+            // Alternate renditions and I-frame lists are playlists; keys and init maps are files
+            const asPlaylist = /^#EXT-X-(MEDIA|I-FRAME-STREAM-INF)/.test(trimmed);
+            return line.replace(/URI="([^"]+)"/, (_, uri) => `URI="${toProxy(uri, asPlaylist)}"`);
+        }
+        return toProxy(trimmed, isMaster || isPlaylistUrl(trimmed));
+    }).join('\n');
+}
+
+function requestBaseUrl(req) {
+    return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function createProxyRouter() {
+    const router = express.Router();
+
+    router.param('token', (req, res, next, token) => {
+        if (!PROXY_SECRET) {
+            res.status(404).end('Proxy disabled: PROXY_SECRET is not set');
+            return;
+        }
+        const target = decodeToken(token);
+        if (!target) {
+            res.status(403).end('Invalid or expired proxy token');
+            return;
+        }
+        req.proxyTarget = target;
+        next();
+    });
+
+    router.get('/:token/playlist.m3u8', async (req, res) => {
+        const { url, headers, expiresAt } = req.proxyTarget;
+        try {
+            const upstream = await axios.get(url, { headers, timeout: 10000, responseType: 'text' });
+            const servedFrom = (upstream.request && upstream.request.res && upstream.request.res.responseUrl) || url;
+            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.end(rewritePlaylist(upstream.data, servedFrom, headers, requestBaseUrl(req), expiresAt));
+        } catch (error) {
+            logger.warn(`⚠️ Proxy playlist failed for ${url.substring(0, 60)}...: ${error.message}`);
+            res.status(error.response ? error.response.status : 502).end();
+        }
+    });
+
+    // ✅ Segments, keys and MP4s: stream through, forwarding Range both ways
+    router.get('/:token/file', async (req, res) => {
+        const { url, headers } = req.proxyTarget;
+        const upstreamHeaders = { ...headers };
+        if (req.headers.range) upstreamHeaders.Range = req.headers.range;
+
+        try {
+            const upstream = await axios.get(url, {
+                headers: upstreamHeaders,
+                timeout: 15000,
+                responseType: 'stream',
+                validateStatus: status => status < 400
+            });
+
+            res.status(upstream.status);
+            for (const name of PASSTHROUGH_HEADERS) {
+                if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+            }
+            req.on('close', () => upstream.data.destroy());
+            // pipe() leaves the response open when the upstream dies mid-body
+            upstream.data.on('error', error => {
+                logger.warn(`⚠️ Proxy file upstream failed for ${url.substring(0, 60)}...: ${error.message}`);
+                res.destroy(error);
+            });
+            upstream.data.pipe(res);
+        } catch (error) {
+            logger.warn(`⚠️ Proxy file failed for ${url.substring(0, 60)}...: ${error.message}`);
+            res.status(error.response ? error.response.status : 502).end();
+        }
+    });
+
+    return router;
+}
+
+function resolveMode() {
+    const mode = PROXY_MODE === 'auto' ? (PUBLIC_URL ? 'proxy' : 'hints') : PROXY_MODE;
+    return mode === 'proxy' && !PROXY_SECRET ? 'hints' : mode;
+}
+
+// ✅ How Stremio should fetch a stream: bare URL, proxied URL or proxyHeaders hints
+function streamDelivery(stream) {
+    const mode = resolveMode();
+    if (mode === 'off' || !needsHeaders(stream)) {
+        return { url: stream.url, behaviorHints: { notWebReady: false } };
+    }
+    if (mode === 'proxy' && PUBLIC_URL) {
+        return { url: proxyUrl(PUBLIC_URL, stream.url, stream.headers, stream.expiresAt), behaviorHints: { notWebReady: false } };
+    }
+    return {
+        url: stream.url,
+        behaviorHints: {
+            notWebReady: true,
+            proxyHeaders: { request: stream.headers }
+        }
+    };
+}
+
+module.exports = {
+    BINDING_HEADERS,
+    createProxyRouter,
+    streamDelivery,
+    proxyUrl,
+    rewritePlaylist
+};
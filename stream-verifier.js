@@ -0,0 +1,177 @@
+//stream-verifier.js - LIVENESS CHECKS FOR EXTRACTED STREAM URLS
+const axios = require('axios');
+const { Parser } = require('m3u8-parser');
+const logger = require('./logger');
+const { createCache } = require('./cache');
+const { genericExpiry, headerExpiry, earliest } = require('./stream-expiry');
+const { BINDING_HEADERS } = require('./stream-proxy');
+
+const VERIFY_ENABLED = process.env.STREAM_VERIFY !== 'false';
+const VERIFY_TIMEOUT = parseInt(process.env.STREAM_VERIFY_TIMEOUT, 10) || 5000;
+const VERIFY_CONCURRENCY = 4;
+
+// ✅ url -> { status: 'ok' | 'dead' | 'unknown', reason, checkedAt, expiresAt?, headerBound? }
+const verificationCache = createCache('verification', { ttl: 1800, maxKeys: 5000 });
+const RESULT_TTL = { ok: 1800, unknown: 300, dead: 86400 };
+
+// Statuses that mean the link itself is gone, as opposed to a flaky CDN
+const DEAD_STATUSES = [401, 403, 404, 410];
+
+// Every response a check got goes into `trace` as { urls, headers }, redirect targets
+// included: signed links often only show their expiry after a redirect or on the segments
+async function httpGet(url, headers, extra = {}, trace = []) {
+    const response = await axios.get(url, {
+        headers,
+        timeout: VERIFY_TIMEOUT,
+        maxRedirects: 5,
+        validateStatus: () => true,
+        ...extra
+    });
+    const redirected = response.request && response.request.res && response.request.res.responseUrl;
+    trace.push({ urls: redirected && redirected !== url ? [url, redirected] : [url], headers: response.headers });
+    return response;
+}
+
+function parsePlaylist(body) {
+    const parser = new Parser();
+    parser.push(body);
+    parser.end();
+    return parser.manifest;
+}
+
+function classify(response, what) {
+    if (response.status >= 200 && response.status < 300) return null;
+    if (DEAD_STATUSES.includes(response.status)) {
+        return { status: 'dead', reason: `${what} returned ${response.status}` };
+    }
+    return { status: 'unknown', reason: `${what} returned ${response.status}` };
+}
+
+// ✅ Ranged GET so we never download more than a few bytes of video. The body is
+// streamed and dropped unread: a CDN that ignores Range would send the whole file.
+async function checkRange(url, headers, what, trace = []) {
+    const response = await httpGet(url, { ...headers, Range: 'bytes=0-1023' }, { responseType: 'stream' }, trace);
+    response.data.destroy();
+    const failure = classify(response, what);
+    if (failure) return failure;
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType.includes('text/html')) {
+        return { status: 'dead', reason: `${what} served an HTML page` };
+    }
+    return { status: 'ok', reason: `${what} reachable` };
+}
+
+// ✅ Walk master -> variant -> first segment and check the segment answers
+async function checkPlaylist(url, headers, trace = []) {
+    const response = await httpGet(url, headers, { responseType: 'text' }, trace);
+    const failure = classify(response, 'playlist');
+    if (failure) return failure;
+
+    let manifest = parsePlaylist(response.data);
+    let base = url;
+
+    if (manifest.playlists && manifest.playlists.length > 0) {
+        base = new URL(manifest.playlists[0].uri, url).href;
+        const variant = await httpGet(base, headers, { responseType: 'text' }, trace);
+        const variantFailure = classify(variant, 'variant playlist');
+        if (variantFailure) return variantFailure;
+        manifest = parsePlaylist(variant.data);
+    }
+
+    const segment = manifest.segments && manifest.segments[0];
+    if (!segment) {
+        return { status: 'dead', reason: 'playlist has no segments' };
+    }
+    return checkRange(new URL(segment.uri, base).href, headers, 'first segment', trace);
+}
+
+async function checkStream(url, headers, trace) {
+    try {
+        return url.includes('.m3u8')
+            ? await checkPlaylist(url, headers, trace)
+            : await checkRange(url, headers, 'stream', trace);
+    } catch (error) {
+        return { status: 'unknown', reason: error.message };
+    }
+}
+
+async function verifyStream(stream) {
+    const cached = await verificationCache.get(stream.url);
+    if (cached) return cached;
+
+    const headers = stream.headers || {};
+    const trace = [];
+    const result = await checkStream(stream.url, headers, trace);
+
+    // Browsers send a Referer and cookies with everything, so carrying them doesn't
+    // make a stream provider-bound: only failing without them does
+    if (result.status === 'ok' && BINDING_HEADERS.some(name => headers[name])) {
+        const bare = Object.fromEntries(Object.entries(headers).filter(([name]) => !BINDING_HEADERS.includes(name)));
+        result.headerBound = (await checkStream(stream.url, bare)).status !== 'ok';
+    }
+
+    result.checkedAt = Date.now();
+    // Tokens on any URL touched; caching headers only from the link itself, since
+    // playlists and segments behind it are cached on their own terms
+    result.expiresAt = earliest(
+        ...trace.flatMap(({ urls }) => urls.map(genericExpiry)),
+        trace.length > 0 ? headerExpiry(trace[0].headers) : null
+    );
+    // Dead links are remembered longer than any stream cache entry can live;
+    // a live one only until its token runs out
+    let ttl = RESULT_TTL[result.status];
+    if (result.status !== 'dead' && result.expiresAt) {
+        ttl = Math.max(1, Math.min(ttl, Math.floor((result.expiresAt - result.checkedAt) / 1000)));
+    }
+    await verificationCache.set(stream.url, result, ttl);
+    return result;
+}
+
+// ✅ Verify a name -> stream map, dropping dead links. Survivors carry their `status`
+// so formatting can demote the inconclusive ones, `expiresAt` when a URL behind
+// the stream revealed one, and `headerBound` once it's known whether it plays bare.
+async function verifyStreams(streams) {
+    if (!VERIFY_ENABLED) return streams;
+
+    const entries = Object.entries(streams);
+    const alive = {};
+    let next = 0;
+
+    const worker = async () => {
+        while (next < entries.length) {
+            const [name, stream] = entries[next++];
+            const result = await verifyStream(stream);
+            if (result.status === 'dead') {
+                logger.warn(`💀 Dropping dead stream ${name}: ${result.reason}`);
+            } else {
+                alive[name] = { ...stream, status: result.status };
+                if (result.expiresAt) alive[name].expiresAt = result.expiresAt;
+                if (result.headerBound !== undefined) alive[name].headerBound = result.headerBound;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, entries.length) }, worker));
+    logger.info(`🩺 Verified ${entries.length} streams, ${Object.keys(alive).length} alive`);
+    return alive;
+}
+
+// ✅ Drop anything that has failed verification since it was cached
+async function dropDeadStreams(streams) {
+    const entries = Object.entries(streams);
+    const statuses = await Promise.all(entries.map(([, stream]) => getStatus(stream.url)));
+    return Object.fromEntries(entries.filter((_, index) => statuses[index] !== 'dead'));
+}
+
+async function getStatus(url) {
+    const cached = await verificationCache.get(url);
+    return cached ? cached.status : 'unknown';
+}
+
+module.exports = {
+    verifyStream,
+    verifyStreams,
+    dropDeadStreams,
+    getStatus
+};
@@ -0,0 +1,153 @@
+//subtitles.js - SUBTITLE TRACKS FOUND WHILE SCRAPING
+// Two sources: .vtt/.srt files the player page requested (kept per title), and
+// EXT-X-MEDIA TYPE=SUBTITLES renditions in a master playlist (kept on the streams
+// that reference them). Both are served by the `subtitles` resource.
+const axios = require('axios');
+const { Parser } = require('m3u8-parser');
+const logger = require('./logger');
+const { createCache } = require('./cache');
+const { streamDelivery } = require('./stream-proxy');
+
+const subtitleCache = createCache('subtitles', { ttl: 7200, maxKeys: 2000 });
+
+// ISO 639-2 codes, which is what Stremio expects in `lang`
+const LANGUAGES = {
+    eng: ['en', 'eng', 'english'],
+    hin: ['hi', 'hin', 'hindi'],
+    spa: ['es', 'spa', 'spanish', 'espanol', 'español', 'castellano'],
+    fre: ['fr', 'fre', 'fra', 'french', 'francais', 'français'],
+    ger: ['de', 'ger', 'deu', 'german', 'deutsch'],
+    ita: ['it', 'ita', 'italian', 'italiano'],
+    por: ['pt', 'por', 'portuguese', 'portugues', 'português'],
+    pob: ['pt-br', 'pob', 'brazilian'],
+    ara: ['ar', 'ara', 'arabic'],
+    rus: ['ru', 'rus', 'russian'],
+    tur: ['tr', 'tur', 'turkish'],
+    dut: ['nl', 'dut', 'nld', 'dutch'],
+    pol: ['pl', 'pol', 'polish'],
+    ind: ['id', 'ind', 'indonesian'],
+    jpn: ['ja', 'jpn', 'japanese'],
+    kor: ['ko', 'kor', 'korean'],
+    chi: ['zh', 'chi', 'zho', 'chinese'],
+    tam: ['ta', 'tam', 'tamil'],
+    tel: ['te', 'tel', 'telugu'],
+    ben: ['bn', 'ben', 'bengali'],
+    urd: ['ur', 'urd', 'urdu']
+};
+
+const ALIASES = new Map(Object.entries(LANGUAGES).flatMap(([code, aliases]) => aliases.map(alias => [alias, code])));
+
+function lookup(value) {
+    if (!value) return null;
+    const normalized = String(value).toLowerCase().trim();
+    return ALIASES.get(normalized) || ALIASES.get(normalized.split(/[-_]/)[0]) || null;
+}
+
+// ✅ Best guess at a track's language: an explicit hint (LANGUAGE/NAME attribute),
+// then a lang= query parameter, then language words or a code next to the file
+// extension ("movie_en.vtt"). Short codes elsewhere in the URL are too ambiguous.
+function inferLanguage(url, ...hints) {
+    for (const hint of hints) {
+        const code = lookup(hint) || (hint && String(hint).split(/[\s()]+/).map(lookup).find(Boolean));
+        if (code) return code;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'und';
+    }
+    for (const param of ['lang', 'language', 'srclang', 'sub_lang']) {
+        const code = lookup(parsed.searchParams.get(param));
+        if (code) return code;
+    }
+
+    const path = decodeURIComponent(parsed.pathname).toLowerCase();
+    const fileName = path.split('/').pop().replace(/\.(vtt|srt)$/, '');
+    const nearExtension = fileName.split(/[._\-\s]+/).pop();
+    if (nearExtension && lookup(nearExtension)) return lookup(nearExtension);
+
+    const word = path.split(/[^a-zà-ÿ]+/).find(token => token.length > 3 && ALIASES.has(token));
+    return word ? ALIASES.get(word) : 'und';
+}
+
+function subtitleKey(type, imdbId, season, episode) {
+    return type === 'series' ? `series:${imdbId}:${season}:${episode}` : `movie:${imdbId}`;
+}
+
+function dedupe(subtitles) {
+    const seen = new Set();
+    return subtitles.filter(subtitle => {
+        if (seen.has(subtitle.url)) return false;
+        seen.add(subtitle.url);
+        return true;
+    });
+}
+
+// ✅ Subtitles of every rendition group in a master playlist, keyed by group id.
+// Stremio wants one file per track, so only renditions that are a single VTT
+// segment are kept; longer ones still play inside the HLS stream itself.
+async function hlsSubtitleGroups(manifest, playlistUrl, headers = {}) {
+    const groups = (manifest.mediaGroups && manifest.mediaGroups.SUBTITLES) || {};
+    const result = {};
+
+    await Promise.all(Object.entries(groups).flatMap(([groupId, renditions]) =>
+        Object.entries(renditions).map(async ([name, rendition]) => {
+            if (!rendition.uri) return;
+            const renditionUrl = new URL(rendition.uri, playlistUrl).href;
+            try {
+                let url = renditionUrl;
+                if (renditionUrl.includes('.m3u8')) {
+                    const response = await axios.get(renditionUrl, { headers, timeout: 5000, responseType: 'text' });
+                    const parser = new Parser();
+                    parser.push(response.data);
+                    parser.end();
+                    const segments = parser.manifest.segments || [];
+                    if (segments.length !== 1) return;
+                    url = new URL(segments[0].uri, renditionUrl).href;
+                }
+                (result[groupId] = result[groupId] || []).push({
+                    url,
+                    lang: inferLanguage(url, rendition.language, name),
+                    headers
+                });
+            } catch (error) {
+                logger.warn(`⚠️ Subtitle rendition ${name} unavailable: ${error.message}`);
+            }
+        })
+    ));
+    return result;
+}
+
+// ✅ Merge newly found title-level subtitles with what is already stored
+async function saveSubtitles(key, subtitles) {
+    if (subtitles.length === 0) return;
+    const existing = (await subtitleCache.get(key)) || [];
+    const merged = dedupe([...existing, ...subtitles]);
+    await subtitleCache.set(key, merged);
+    logger.info(`💬 ${merged.length} subtitle tracks stored for ${key}`);
+}
+
+async function getSubtitles(key) {
+    return (await subtitleCache.get(key)) || [];
+}
+
+// ✅ Stremio subtitle object; header-bound files go through the proxy like streams do
+function toStremioSubtitle(subtitle, index) {
+    return {
+        id: `bytewatch-${subtitle.lang}-${index}`,
+        url: streamDelivery(subtitle).url,
+        lang: subtitle.lang
+    };
+}
+
+module.exports = {
+    inferLanguage,
+    subtitleKey,
+    hlsSubtitleGroups,
+    saveSubtitles,
+    getSubtitles,
+    toStremioSubtitle,
+    dedupe
+};
@@ -0,0 +1,100 @@
+//test/admin.test.js - /admin AUTH, PROVIDER CONTROL, CACHE PURGE AND TEST RUNS (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.ADMIN_TOKEN = 'test-token';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const createApp = require('../app');
+const { SOURCES, shutdown } = require('../addon');
+const { getProvider } = require('../providers');
+const { createCache } = require('../cache');
+const { startFixtureServer } = require('./fixture-server');
+
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, resolveHttp: provider.resolveHttp };
+const vidlink = SOURCES.find(source => source.name === 'vidlink');
+const originalSource = { ...vidlink };
+let fixtures;
+let listener;
+let origin;
+
+function api(method, path, { body, token = 'test-token' } = {}) {
+    return fetch(`${origin}/admin/api${path}`, {
+        method,
+        headers: {
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body && JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    fixtures = await startFixtureServer();
+    provider.baseUrl = fixtures.baseUrl('vidlink');
+    listener = createApp().listen(0, '127.0.0.1');
+    await new Promise(resolve => listener.once('listening', resolve));
+    origin = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+    Object.assign(provider, original);
+    Object.assign(vidlink, originalSource);
+    delete vidlink.enabled;
+    await new Promise(resolve => listener.close(resolve));
+    await fixtures.close();
+    await shutdown();
+});
+
+test('admin api: rejects a missing or wrong token', async () => {
+    assert.equal((await api('GET', '/providers', { token: null })).status, 401);
+    assert.equal((await api('GET', '/providers', { token: 'nope' })).status, 401);
+});
+
+test('admin api: providers can be disabled and re-prioritised at runtime', async () => {
+    const response = await api('PATCH', '/providers/vidlink', { body: { enabled: false, priority: 12 } });
+    const { providers } = await response.json();
+
+    assert.deepEqual(providers.find(row => row.name === 'vidlink'), {
+        name: 'vidlink', enabled: false, priority: 12, timeout: vidlink.timeout, mirror: provider.baseUrl, health: null
+    });
+    assert.equal(vidlink.enabled, false);
+    assert.equal((await api('PATCH', '/providers/nope', { body: { enabled: false } })).status, 404);
+});
+
+test('admin api: cache entries can be browsed and purged by key or prefix', async () => {
+    const streamCache = createCache('streams');
+    await streamCache.set('movie:tt0000001', { 'vidlink Link': { url: 'https://cdn.example/a.m3u8' } });
+    await streamCache.set('movie:tt0000002', { 'vidlink Link': { url: 'https://cdn.example/b.m3u8' } });
+    await streamCache.set('series:tt0000003:1:1', { 'vidlink Link': { url: 'https://cdn.example/c.m3u8' } });
+
+    const listed = await (await api('GET', '/caches/streams?prefix=movie:')).json();
+    assert.deepEqual(listed.keys, ['movie:tt0000001', 'movie:tt0000002']);
+
+    const entry = await (await api('GET', '/caches/streams/entry?key=movie:tt0000001')).json();
+    assert.equal(entry.value['vidlink Link'].url, 'https://cdn.example/a.m3u8');
+
+    assert.deepEqual(await (await api('DELETE', '/caches/streams?key=movie:tt0000001')).json(), { purged: 1 });
+    assert.deepEqual(await (await api('DELETE', '/caches/streams?prefix=movie:')).json(), { purged: 1 });
+    assert.deepEqual(await streamCache.keys(), ['series:tt0000003:1:1']);
+    assert.equal((await api('GET', '/caches/sessions')).status, 404);
+});
+
+test('admin api: a test run reaches disabled providers and returns their log trail', async () => {
+    vidlink.enabled = false;
+    provider.resolveHttp = async ({ baseUrl, http }) => {
+        const { data } = await http.get(`${baseUrl}/sources.json`);
+        return data.sources.map(source => ({ url: `${baseUrl}/${source.file}` }));
+    };
+
+    const response = await api('POST', '/test', { body: { type: 'movie', id: 'tt0111161', providers: ['vidlink'] } });
+    const result = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(result.target.key, 'tt0111161');
+    assert.deepEqual(Object.keys(result.streams.vidlink), ['vidlink 1080p', 'vidlink 720p']);
+    // Lines logged inside the provider run are grouped under it, whatever LOG_LEVEL is
+    assert.ok(result.trail.vidlink.some(line => line.message.includes('vidlink resolved over HTTP')));
+    assert.ok(result.trail.vidlink.some(line => line.message.includes('vidlink COMPLETED')));
+    assert.ok(result.trail.general.some(line => line.message.includes('Test extraction')));
+});
@@ -0,0 +1,55 @@
+//test/browser-pool.test.js - MEMORY READINGS THAT TRIGGER RECYCLING (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { freeMemoryMB } = require('../browser-pool');
+
+const MB = 1024 * 1024;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bytewatch-cgroup-'));
+
+function cgroup(name, files) {
+    const root = path.join(tmpDir, name);
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), `${content}\n`);
+    }
+    return root;
+}
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('cgroup v2: limit minus usage, page cache counted as free', () => {
+    const root = cgroup('v2', {
+        'memory.max': 1024 * MB,
+        'memory.current': 900 * MB,
+        'memory.stat': `anon ${600 * MB}\ninactive_file ${200 * MB}\nactive_file ${100 * MB}`
+    });
+    assert.equal(freeMemoryMB(root), 324);
+});
+
+test('cgroup v1: same reading from the v1 files', () => {
+    const root = cgroup('v1', {
+        'memory/memory.limit_in_bytes': 512 * MB,
+        'memory/memory.usage_in_bytes': 500 * MB,
+        'memory/memory.stat': `inactive_file ${MB}\ntotal_inactive_file ${100 * MB}`
+    });
+    assert.equal(freeMemoryMB(root), 112);
+});
+
+test('no limit: host memory', () => {
+    const hostMB = () => os.freemem() / MB;
+    const near = (value, expected) => Math.abs(value - expected) < 64;
+
+    assert.ok(near(freeMemoryMB(cgroup('unlimited-v2', { 'memory.max': 'max', 'memory.current': 900 * MB })), hostMB()));
+    assert.ok(near(freeMemoryMB(cgroup('unlimited-v1', {
+        'memory/memory.limit_in_bytes': '9223372036854771712',
+        'memory/memory.usage_in_bytes': 900 * MB
+    })), hostMB()));
+    assert.ok(near(freeMemoryMB(path.join(tmpDir, 'missing')), hostMB()));
+});
@@ -0,0 +1,81 @@
+//test/cache.test.js - BACKEND CONTRACT, RUN AGAINST THE MEMORY AND FILE STORES
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryBackend = require('../cache/memory');
+const FileBackend = require('../cache/file');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bytewatch-cache-test-'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const BACKENDS = {
+    memory: { Backend: MemoryBackend, persistent: false },
+    file: { Backend: FileBackend, persistent: true }
+};
+
+for (const [name, { Backend, persistent }] of Object.entries(BACKENDS)) {
+    const open = (namespace, options = {}) => new Backend(namespace, { ttl: 3600, maxKeys: 0, dir, ...options });
+
+    test(`${name} cache: get, set, del and keys`, async () => {
+        const cache = open('basic');
+        assert.equal(await cache.get('missing'), undefined);
+        await cache.set('a', { streams: { x: { url: 'x' } } });
+        await cache.set('b', null);
+        assert.deepEqual(await cache.get('a'), { streams: { x: { url: 'x' } } });
+        assert.equal(await cache.get('b'), null); // a cached miss is not a cache miss
+        assert.deepEqual((await cache.keys()).sort(), ['a', 'b']);
+
+        await cache.del('a');
+        assert.equal(await cache.get('a'), undefined);
+        assert.deepEqual(await cache.keys(), ['b']);
+        await cache.close();
+    });
+
+    test(`${name} cache: entries expire after their own ttl, or the namespace default`, async () => {
+        const cache = open('ttl', { ttl: 1 });
+        await cache.set('default', 1);
+        await cache.set('short', 2, 1);
+        await cache.set('long', 3, 60);
+        await sleep(1100);
+        assert.equal(await cache.get('default'), undefined);
+        assert.equal(await cache.get('short'), undefined);
+        assert.equal(await cache.get('long'), 3);
+        assert.deepEqual(await cache.keys(), ['long']);
+        await cache.close();
+    });
+
+    test(`${name} cache: maxKeys drops the oldest entry, and replacing a key drops none`, async () => {
+        const cache = open('bounded', { maxKeys: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.set('b', 20);
+        assert.deepEqual((await cache.keys()).sort(), ['a', 'b']);
+
+        await cache.set('c', 3);
+        assert.deepEqual((await cache.keys()).sort(), ['b', 'c']);
+        assert.equal(await cache.get('a'), undefined);
+        assert.equal(await cache.get('b'), 20);
+        await cache.close();
+    });
+
+    test(`${name} cache: ${persistent ? 'entries survive a new instance' : 'a new instance starts empty'}`, async () => {
+        const first = open('restart');
+        await first.set('kept', { value: 1 });
+        await first.set('expiring', 2, 1);
+        await first.close();
+        await sleep(1100);
+
+        const second = open('restart');
+        assert.deepEqual(await second.get('kept'), persistent ? { value: 1 } : undefined);
+        assert.equal(await second.get('expiring'), undefined);
+        await second.close();
+    });
+}
@@ -0,0 +1,45 @@
+//test/catalog.test.js - "AVAILABLE NOW" CATALOGS (no browser, no metadata keys)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CATALOGS, recordAvailable, getCatalog } = require('../catalog');
+
+const ALL = ['vidlink', 'vidfast', 'wooflix'];
+const link = name => ({ [name]: { url: `https://cdn.example/${encodeURIComponent(name)}.m3u8` } });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('catalogs are declared for movies and series', () => {
+    assert.deepEqual(CATALOGS.map(({ type }) => type), ['movie', 'series']);
+});
+
+test('movies: most recently resolved first, only for the user\'s providers', async () => {
+    await recordAvailable('movie:tt0000001', { type: 'movie', imdbId: 'tt0000001' }, link('vidlink 1080p'), 60);
+    await sleep(5);
+    await recordAvailable('movie:tt0000002', { type: 'movie', imdbId: 'tt0000002' }, link('vidfast 720p'), 60);
+    await recordAvailable('movie:tt0000003', { type: 'movie', imdbId: 'tt0000003' }, {}, 60); // nothing found
+
+    const metas = await getCatalog('movie', 'bytewatch-available-movies', {}, ALL);
+    assert.deepEqual(metas.map(meta => meta.id), ['tt0000002', 'tt0000001']);
+    // Without metadata keys the IMDb id stands in for the title
+    assert.equal(metas[0].name, 'tt0000002');
+
+    const vidlinkOnly = await getCatalog('movie', 'bytewatch-available-movies', {}, ['vidlink']);
+    assert.deepEqual(vidlinkOnly.map(meta => meta.id), ['tt0000001']);
+});
+
+test('series: episodes collapse into one item that lists them', async () => {
+    const episode = (season, number) => ({ type: 'series', imdbId: 'tt0000010', season, episode: number });
+    await recordAvailable('series:tt0000010:2:1', episode(2, 1), link('wooflix Link'), 60);
+    await recordAvailable('series:tt0000010:1:4', episode(1, 4), link('vidlink 1080p'), 60);
+
+    const metas = await getCatalog('series', 'bytewatch-available-series', {}, ALL);
+    assert.equal(metas.length, 1);
+    assert.equal(metas[0].type, 'series');
+    assert.match(metas[0].description, /Playable now: S1E4, S2E1/);
+});
+
+test('unknown catalog ids and pages past the end are empty', async () => {
+    assert.deepEqual(await getCatalog('movie', 'top', {}, ALL), []);
+    assert.deepEqual(await getCatalog('movie', 'bytewatch-available-movies', { skip: '100' }, ALL), []);
+});
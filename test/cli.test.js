@@ -0,0 +1,72 @@
+//test/cli.test.js - bin/bytewatch.js ARGUMENTS AND REPORT (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, resolve, printReport, toJson } = require('../bin/bytewatch');
+const { shutdown } = require('../addon');
+const { getProvider } = require('../providers');
+const { startFixtureServer } = require('./fixture-server');
+
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, resolveHttp: provider.resolveHttp };
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+    provider.baseUrl = server.baseUrl('vidlink');
+    provider.resolveHttp = async ({ baseUrl, http }) => {
+        const { data } = await http.get(`${baseUrl}/sources.json`);
+        return data.sources.map(source => ({ url: `${baseUrl}/${source.file}` }));
+    };
+});
+
+after(async () => {
+    Object.assign(provider, original);
+    await server.close();
+    await shutdown();
+});
+
+test('parseArgs: type from the id, providers repeated or comma-separated', () => {
+    const options = parseArgs(['resolve', 'tt0944947:1:1', '--provider', 'vidfast,vidlink', '--provider', 'wooflix', '--json']);
+    assert.equal(options.type, 'series');
+    assert.deepEqual(options.providers, ['vidfast', 'vidlink', 'wooflix']);
+    assert.equal(options.json, true);
+
+    assert.equal(parseArgs(['resolve', 'tt0111161', '--no-verify']).type, 'movie');
+    assert.equal(parseArgs(['resolve', 'tt0111161', '--no-verify']).verify, false);
+    assert.equal(parseArgs(['resolve', 'kitsu:1:12']).type, 'series');
+});
+
+test('parseArgs: rejects what it does not understand', () => {
+    assert.throws(() => parseArgs([]), /Missing command/);
+    assert.throws(() => parseArgs(['resolve']), /Missing id/);
+    assert.throws(() => parseArgs(['resolve', 'tt0111161', '--screenshot']), /needs a value/);
+    assert.throws(() => parseArgs(['resolve', 'tt0111161', '--fast']), /Unknown option/);
+    assert.throws(() => parseArgs(['resolve', 'abc']), /Unsupported id/);
+});
+
+test('resolve: per-provider result, timings and the formatted streams', async () => {
+    const report = await resolve({ id: 'tt0111161', type: 'movie', providers: ['vidlink'], verify: false });
+    const [run] = report.providers;
+
+    assert.equal(run.status, 'success');
+    assert.equal(run.debug.path, 'http');
+    assert.equal(typeof run.debug.timings.total, 'number');
+    assert.deepEqual(Object.keys(run.streams), ['vidlink 1080p', 'vidlink 720p']);
+    assert.equal(run.streams['vidlink 1080p'].variant.videoCodec, 'H.264');
+    assert.deepEqual(report.streams.map(stream => stream.name), ['🔥 vidlink 1080p', '⭐ vidlink 720p']);
+
+    const lines = [];
+    printReport(report, line => lines.push(line));
+    assert.ok(lines.some(line => line.startsWith('── vidlink ✅ 2 streams') && line.endsWith('via http')));
+    assert.ok(lines.includes('Final streams (2):'));
+
+    const json = toJson(report);
+    assert.equal(json.providers[0].path, 'http');
+    assert.ok(!('debug' in json.providers[0]));
+});
+
+test('resolve: unknown providers are a usage error', async () => {
+    await assert.rejects(resolve({ id: 'tt0111161', type: 'movie', providers: ['nope'] }), /Unknown provider nope/);
+});
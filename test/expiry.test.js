@@ -0,0 +1,180 @@
+//test/expiry.test.js - LINK EXPIRY DETECTION AND PER-STREAM REFRESH (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STREAM_VERIFY = 'false'; // fixture variants have no segments; verifyStream is tested on its own
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { detectExpiry, genericExpiry, headerExpiry, withExpiry, splitExpired, earliestSafe, cacheTtl } = require('../stream-expiry');
+const { verifyStream } = require('../stream-verifier');
+const { addonInterface, shutdown } = require('../addon');
+const { getProvider } = require('../providers');
+const { createCache } = require('../cache');
+const { startFixtureServer } = require('./fixture-server');
+
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, resolveHttp: provider.resolveHttp, parseExpiry: provider.parseExpiry };
+const streamCache = createCache('streams');
+const inSeconds = seconds => Math.floor(Date.now() / 1000) + seconds;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const CDN_DEADLINE = inSeconds(900);
+let server;
+let cdn;
+
+// Redirects /stream.mp4 to a signed URL, the way CDN edge links hand out tokens
+function startCdn(deadline) {
+    const cdnServer = http.createServer((req, res) => {
+        if (req.url === '/stream.mp4') {
+            res.writeHead(302, { Location: `/edge/stream.mp4?expires=${deadline}` }).end();
+        } else if (req.url === '/cached.mp4') {
+            res.writeHead(206, { 'Content-Type': 'video/mp4', 'Cache-Control': 'private, max-age=600' }).end(Buffer.alloc(1024));
+        } else {
+            res.writeHead(206, { 'Content-Type': 'video/mp4' }).end(Buffer.alloc(1024));
+        }
+    });
+    return new Promise(resolve => cdnServer.listen(0, '127.0.0.1', () => resolve(cdnServer)));
+}
+
+before(async () => {
+    server = await startFixtureServer();
+    cdn = await startCdn(CDN_DEADLINE);
+});
+
+after(async () => {
+    Object.assign(provider, original);
+    await server.close();
+    await new Promise(resolve => cdn.close(resolve));
+    await shutdown();
+});
+
+test('expiry: query parameters, Akamai tokens, AWS signatures and JWTs', () => {
+    const deadline = inSeconds(3600);
+    assert.equal(genericExpiry(`https://cdn.example/a.m3u8?token=abc&expires=${deadline}`), deadline * 1000);
+    assert.equal(genericExpiry(`https://cdn.example/a.m3u8?hdnts=st=1~exp=${deadline}~acl=/*~hmac=ff`), deadline * 1000);
+    assert.equal(genericExpiry(`https://cdn.example/hls/exp=${deadline}/a.m3u8`), deadline * 1000);
+
+    const signed = new Date(Date.now() - 60000).toISOString().replace(/[-:]|\.\d+/g, '');
+    assert.equal(genericExpiry(`https://s3.example/a.mp4?X-Amz-Date=${signed}&X-Amz-Expires=600`), Date.parse(
+        signed.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')
+    ) + 600000);
+
+    const claims = Buffer.from(JSON.stringify({ sub: 'stream', exp: deadline })).toString('base64url');
+    assert.equal(genericExpiry(`https://cdn.example/${'x'.repeat(12)}.${claims}.sig/a.m3u8`), deadline * 1000);
+
+    // The earliest of several wins; ids and far-off numbers are not deadlines
+    assert.equal(genericExpiry(`https://cdn.example/a.m3u8?e=${deadline}&expires=${deadline + 60}`), deadline * 1000);
+    assert.equal(genericExpiry('https://cdn.example/a.m3u8?e=12345&id=1700000000'), null);
+    assert.equal(genericExpiry('not a url'), null);
+});
+
+test('expiry: a provider parser takes precedence over the generic ones', () => {
+    const url = `https://cdn.example/a.m3u8?expires=${inSeconds(3600)}&t=x`;
+    provider.parseExpiry = () => 42e11;
+    try {
+        assert.equal(detectExpiry(url, 'vidlink'), 42e11);
+        assert.equal(withExpiry({ 'vidlink 1080p': { url } })['vidlink 1080p'].expiresAt, 42e11);
+        // Declining falls through to the generic parsers
+        provider.parseExpiry = () => null;
+        assert.equal(detectExpiry(url, 'vidlink'), inSeconds(3600) * 1000);
+    } finally {
+        provider.parseExpiry = original.parseExpiry;
+    }
+});
+
+test('expiry: cache ttl runs to the last safe link, capped by the default', () => {
+    const at = seconds => ({ url: 'https://cdn.example/a.m3u8', expiresAt: Date.now() + seconds * 1000 });
+
+    assert.equal(cacheTtl({ a: { url: 'https://cdn.example/a.m3u8' } }, 3600), 3600);
+    assert.equal(cacheTtl({ a: at(600), b: at(100000) }, 3600), 3600);
+    const ttl = cacheTtl({ a: at(600), b: at(1200) }, 3600);
+    assert.ok(ttl > 1000 && ttl <= 1080, `ttl ${ttl}`); // 1200s minus the 120s margin
+    assert.equal(cacheTtl({ a: at(130) }, 3600), 0);
+
+    // The entry outlives its first link: that one is filtered out and refreshed instead
+    const first = at(600);
+    assert.equal(earliestSafe({ a: first, b: at(1200), c: { url: 'https://cdn.example/c.mp4' } }), first.expiresAt - 120000);
+    assert.equal(earliestSafe({ c: { url: 'https://cdn.example/c.mp4' } }), null);
+
+    const { live, expired } = splitExpired({ a: at(600), b: at(60), c: { url: 'https://cdn.example/c.mp4' } });
+    assert.deepEqual(Object.keys(live), ['a', 'c']);
+    assert.deepEqual(Object.keys(expired), ['b']);
+});
+
+test('verification: an expiry behind a redirect is reported', async () => {
+    const result = await verifyStream({ url: `http://127.0.0.1:${cdn.address().port}/stream.mp4` });
+    assert.equal(result.status, 'ok');
+    assert.equal(result.expiresAt, CDN_DEADLINE * 1000);
+});
+
+test('expiry: caching headers, ignoring live-playlist reload hints', () => {
+    const now = Date.now();
+    assert.equal(headerExpiry({ 'cache-control': 'public, max-age=900' }, now), now + 900000);
+    assert.equal(headerExpiry({ 'cache-control': 's-maxage=900' }, now), now + 900000);
+    const expires = new Date(now + 3600000);
+    assert.equal(headerExpiry({ expires: expires.toUTCString() }, now), Math.floor(expires / 1000) * 1000);
+    // max-age wins over Expires
+    assert.equal(headerExpiry({ 'cache-control': 'max-age=900', expires: expires.toUTCString() }, now), now + 900000);
+
+    assert.equal(headerExpiry({ 'cache-control': 'max-age=2' }, now), null);
+    assert.equal(headerExpiry({ 'cache-control': 'no-cache' }, now), null);
+    assert.equal(headerExpiry({ expires: '0' }, now), null);
+    assert.equal(headerExpiry({}, now), null);
+});
+
+test('verification: the link\'s own caching headers bound its expiry', async () => {
+    const before = Date.now();
+    const result = await verifyStream({ url: `http://127.0.0.1:${cdn.address().port}/cached.mp4` });
+    assert.equal(result.status, 'ok');
+    assert.ok(result.expiresAt >= before + 600000 && result.expiresAt <= Date.now() + 600000, `expiresAt ${result.expiresAt}`);
+});
+
+test('cache: only the provider with expired links is re-extracted', async () => {
+    const expiresAt = inSeconds(3 * 3600);
+    let extractions = 0;
+    provider.baseUrl = server.baseUrl('vidlink');
+    provider.resolveHttp = async ({ baseUrl }) => {
+        extractions++;
+        return [{ url: `${baseUrl}/exp=${expiresAt}/master.m3u8` }]; // variants inherit the path token
+    };
+
+    const live = { url: server.fileUrl('vidfast', 'master.m3u8'), expiresAt: Date.now() + 3600000 };
+    await streamCache.set('movie:tt0000099', {
+        streams: {
+            'vidlink 1080p': { url: server.fileUrl('vidlink', 'old.m3u8'), expiresAt: Date.now() - 1000 },
+            'vidfast 720p': live
+        },
+        staleAt: Date.now() + 3600000
+    });
+
+    // The still-valid stream is served straight away, the refresh runs behind it
+    const { streams } = await addonInterface.get('stream', 'movie', 'tt0000099');
+    assert.deepEqual(streams.map(stream => stream.url), [live.url]);
+
+    let cached;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        ({ streams: cached } = await streamCache.get('movie:tt0000099'));
+        if (cached['vidlink 1080p'].expiresAt === expiresAt * 1000) break;
+        await sleep(50);
+    }
+    assert.equal(extractions, 1);
+    assert.deepEqual(Object.keys(cached).sort(), ['vidfast 720p', 'vidlink 1080p', 'vidlink 720p']);
+    assert.equal(cached['vidlink 1080p'].url, `${server.baseUrl('vidlink')}/exp=${expiresAt}/1080.m3u8`);
+    assert.deepEqual(cached['vidfast 720p'], live);
+});
+
+test('cache: an entry goes stale at its earliest safe expiry and is kept to its last', async () => {
+    const soon = inSeconds(1800);
+    const later = inSeconds(3 * 3600);
+    provider.baseUrl = server.baseUrl('vidlink');
+    provider.resolveHttp = async ({ baseUrl }) => [
+        { url: `${baseUrl}/a.mp4?expires=${soon}`, label: '1080p' },
+        { url: `${baseUrl}/b.mp4?expires=${later}`, label: '720p' }
+    ];
+
+    const { streams } = await addonInterface.get('stream', 'movie', 'tt0000097', {}, { provider_vidlink: 'on' });
+    assert.equal(streams.length, 2);
+
+    const entry = await streamCache.get('movie:tt0000097:vidlink');
+    assert.deepEqual(Object.keys(entry.streams), ['vidlink 1080p', 'vidlink 720p']);
+    assert.equal(entry.staleAt, soon * 1000 - 120000);
+});
@@ -0,0 +1,81 @@
+//test/fixture-server.js - LOCAL HTTP SERVER FOR RECORDED PROVIDER FIXTURES
+// Each provider's files live in test/fixtures/<provider>/ and are served under
+// /<alias>/. Lookup is by file name only, so a page can reference "master.m3u8"
+// from any depth of the provider's URL layout. Anything unknown gets page.html,
+// which is what the provider's URL builder lands on.
+//
+// Aliases never contain the provider name: some providers ignore requests back
+// to their own domain (vidjoy), and the fixture URLs must not trip that.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.mp4': 'video/mp4',
+    '.ts': 'video/mp2t',
+    '.vtt': 'text/vtt',
+    '.srt': 'application/x-subrip'
+};
+
+// Files without an extension (tokenised CDN paths) are playlists
+function contentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName)] || 'application/vnd.apple.mpegurl';
+}
+
+function startFixtureServer() {
+    const aliases = new Map();
+    const hits = [];
+
+    fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach((entry, index) => aliases.set(`site${index}`, entry.name));
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        hits.push(pathname);
+
+        const [, alias] = pathname.split('/');
+        const fixture = aliases.get(alias);
+        if (!fixture) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        const dir = path.join(FIXTURES_DIR, fixture);
+        const requested = path.basename(pathname);
+        const fileName = fs.existsSync(path.join(dir, requested)) && requested !== alias ? requested : 'page.html';
+        const filePath = path.join(dir, fileName);
+        if (!fs.existsSync(filePath)) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': contentType(fileName) });
+        fs.createReadStream(filePath).pipe(res);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const origin = `http://127.0.0.1:${server.address().port}`;
+            const aliasOf = name => [...aliases].find(([, fixture]) => fixture === name)[0];
+
+            resolve({
+                origin,
+                fixtures: [...aliases.values()],
+                // Base URL to put in place of the provider's real baseUrl
+                baseUrl: name => `${origin}/${aliasOf(name)}`,
+                // URL of a single fixture file
+                fileUrl: (name, fileName) => `${origin}/${aliasOf(name)}/${fileName}`,
+                hits,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startFixtureServer, FIXTURES_DIR };
@@ -0,0 +1,2 @@
+// Tokenised CDN path without an extension, matched by the "kendrickl" pattern
+fetch('kendrickl/a1b2c3/stream-480');
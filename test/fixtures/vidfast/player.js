@@ -0,0 +1 @@
+fetch('master.m3u8');
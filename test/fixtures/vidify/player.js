@@ -0,0 +1,2 @@
+// A media playlist with no variants: served as a single direct link
+fetch('stream.m3u8');
@@ -0,0 +1,3 @@
+// The first request is the player's own preview, which vidjoy's ignoreRequest skips
+fetch('vidjoy-preview.m3u8')
+    .then(() => fetch('master.m3u8'));
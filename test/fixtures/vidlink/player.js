@@ -0,0 +1,3 @@
+// Loads the English subtitle track, then the master playlist
+fetch('movie_en.vtt')
+    .then(() => fetch('master.m3u8'));
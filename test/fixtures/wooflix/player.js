@@ -0,0 +1,2 @@
+// The embed iframe requests a progressive MP4
+fetch('movie.mp4', { headers: { Range: 'bytes=0-1023' } });
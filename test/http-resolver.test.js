@@ -0,0 +1,103 @@
+//test/http-resolver.test.js - resolveHttp PATH AND ITS BROWSER FALLBACK (no browser needed)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const runExtractor = require('../unified-extractor');
+const browserPool = require('../browser-pool');
+const providerHealth = require('../provider-health');
+const { getProvider } = require('../providers');
+const { startFixtureServer } = require('./fixture-server');
+
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, resolveHttp: provider.resolveHttp };
+const acquire = browserPool.acquire;
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+    provider.baseUrl = server.baseUrl('vidlink');
+});
+
+afterEach(() => {
+    provider.resolveHttp = original.resolveHttp;
+    browserPool.acquire = acquire;
+});
+
+after(async () => {
+    Object.assign(provider, original);
+    await browserPool.destroy();
+    await server.close();
+});
+
+// The provider has no health entry until its first extraction
+const paths = () => (providerHealth.snapshot().vidlink || { paths: { http: 0, browser: 0, httpFallback: 0 } }).paths;
+
+test('resolveHttp: playlists from the source API are expanded without a browser', async () => {
+    provider.resolveHttp = async ({ baseUrl, http, id }) => {
+        assert.equal(id, 'tt0111161');
+        const { data } = await http.get(`${baseUrl}/sources.json`);
+        return data.sources.map(source => ({ url: `${baseUrl}/${source.file}` }));
+    };
+    browserPool.acquire = () => assert.fail('browser path must not run');
+    const before = paths().http;
+
+    const streams = await runExtractor('vidlink', 'movie', 'tt0111161');
+
+    assert.deepEqual(Object.keys(streams), ['vidlink 1080p', 'vidlink 720p']);
+    assert.equal(paths().http, before + 1);
+    assert.equal(providerHealth.snapshot().vidlink.lastPath, 'http');
+});
+
+test('resolveHttp: labelled links are kept as they are and never overwrite each other', async () => {
+    provider.resolveHttp = async ({ baseUrl }) => [
+        { url: `${baseUrl}/movie.mp4`, label: '1080p', headers: { Referer: baseUrl } },
+        { url: `${baseUrl}/backup.mp4`, label: '1080p' }
+    ];
+    browserPool.acquire = () => assert.fail('browser path must not run');
+
+    const streams = await runExtractor('vidlink', 'movie', 'tt0111161');
+
+    assert.deepEqual(Object.keys(streams), ['vidlink 1080p', 'vidlink 1080p #2']);
+    assert.deepEqual(streams['vidlink 1080p'].headers, { Referer: server.baseUrl('vidlink') });
+});
+
+for (const [what, resolveHttp] of [
+    ['throws', async () => { throw new Error('source API changed'); }],
+    ['finds nothing', async () => []]
+]) {
+    test(`resolveHttp: falls back to the browser when it ${what}`, async () => {
+        provider.resolveHttp = resolveHttp;
+        browserPool.acquire = async () => { throw new Error('browser fallback reached'); };
+        const before = paths().httpFallback;
+
+        await assert.rejects(runExtractor('vidlink', 'movie', 'tt0111161'), /browser fallback reached/);
+        assert.equal(paths().httpFallback, before + 1);
+    });
+}
+
+test('resolveHttp: wooflix is read from its watch page and embed without a browser', async () => {
+    const wooflix = getProvider('wooflix');
+    const realBaseUrl = wooflix.baseUrl;
+    wooflix.baseUrl = server.baseUrl('wooflix');
+    browserPool.acquire = () => assert.fail('browser path must not run');
+
+    try {
+        const streams = await runExtractor('wooflix', 'movie', 'tt0111161');
+
+        assert.deepEqual(Object.keys(streams), ['wooflix Link']);
+        const { url, headers } = streams['wooflix Link'];
+        const embedUrl = `${server.baseUrl('wooflix')}/watch/movie/embed.html`;
+        assert.deepEqual(headers, { Referer: embedUrl });
+        assert.equal(url, new URL('movie.mp4', embedUrl).href);
+        assert.equal(providerHealth.snapshot().wooflix.lastPath, 'http');
+
+        // The link plays as handed out
+        const response = await fetch(url, { headers });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /video\/mp4/);
+        await response.arrayBuffer();
+    } finally {
+        wooflix.baseUrl = realBaseUrl;
+    }
+});
@@ -0,0 +1,69 @@
+//test/ids.test.js - ID SCHEMES -> CANONICAL IMDB TARGETS (no browser, no metadata keys)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Stand-in for the anime-kitsu addon's meta endpoint
+const KITSU_META = {
+    '/meta/anime/kitsu:42.json': {
+        meta: {
+            imdb_id: 'tt2560140',
+            videos: [
+                { episode: 1, imdbSeason: 1, imdbEpisode: 1 },
+                { episode: 26, imdbSeason: 2, imdbEpisode: 1 }
+            ]
+        }
+    },
+    '/meta/anime/kitsu:43.json': { meta: { imdb_id: 'tt0388629', videos: [] } }
+};
+
+let server;
+let ids;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const body = KITSU_META[req.url];
+        if (!body) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.KITSU_ADDON_URL = `http://127.0.0.1:${server.address().port}/`;
+    ids = require('../ids');
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('parseId: imdb, tmdb and kitsu ids', () => {
+    assert.deepEqual(ids.parseId('series', 'tt0944947:2:3'), { scheme: 'imdb', id: 'tt0944947', season: 2, episode: 3 });
+    assert.deepEqual(ids.parseId('movie', 'tmdb:550'), { scheme: 'tmdb', id: '550', season: null, episode: null });
+    assert.deepEqual(ids.parseId('series', 'kitsu:42:26'), { scheme: 'kitsu', id: '42', season: null, episode: 26 });
+    assert.equal(ids.parseId('series', 'mal:1:1'), null);
+});
+
+test('resolveId: imdb ids pass through and key on themselves', async () => {
+    assert.deepEqual(await ids.resolveId('series', 'tt0944947:2:3'), {
+        imdbId: 'tt0944947', season: 2, episode: 3, key: 'tt0944947:2:3'
+    });
+    assert.deepEqual(await ids.resolveId('movie', 'tt0111161'), {
+        imdbId: 'tt0111161', season: null, episode: null, key: 'tt0111161'
+    });
+});
+
+test('resolveId: kitsu episodes use the per-episode IMDb mapping', async () => {
+    const target = await ids.resolveId('series', 'kitsu:42:26');
+    assert.equal(target.key, 'tt2560140:2:1');
+});
+
+test('resolveId: kitsu without a mapping counts the absolute episode from season 1', async () => {
+    // No metadata keys here, so the season layout is unknown
+    const target = await ids.resolveId('series', 'kitsu:43:120');
+    assert.equal(target.key, 'tt0388629:1:120');
+});
+
+test('resolveId: unknown kitsu ids resolve to null', async () => {
+    assert.equal(await ids.resolveId('series', 'kitsu:404:1'), null);
+});
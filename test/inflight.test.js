@@ -0,0 +1,39 @@
+//test/inflight.test.js - COALESCED EXTRACTIONS AND PARTIAL RESULTS
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const InFlight = require('../inflight');
+
+test('a joined request takes the partial set at its deadline while the job carries on', async () => {
+    const inFlight = new InFlight({ wait: 50 });
+    let finish;
+    const owner = inFlight.run('movie:tt0000001', partial => {
+        partial['vidlink 1080p'] = { url: 'https://cdn.example/1080.m3u8' };
+        return new Promise(resolve => { finish = resolve; });
+    });
+
+    const job = inFlight.find(['movie:tt0000001:vidlink', 'movie:tt0000001']);
+    assert.equal(job.key, 'movie:tt0000001');
+    const joined = await inFlight.join(job);
+    assert.deepEqual(joined, { streams: { 'vidlink 1080p': { url: 'https://cdn.example/1080.m3u8' } }, partial: true });
+    assert.equal(inFlight.size(), 1);
+
+    const full = { 'vidlink 1080p': joined.streams['vidlink 1080p'], 'vidfast 720p': { url: 'https://cdn.example/720.m3u8' } };
+    finish(full);
+    assert.deepEqual(await owner, full);
+    assert.equal(inFlight.size(), 0);
+});
+
+test('a joined request gets the full result when the job ends in time, and partials when it fails', async () => {
+    const inFlight = new InFlight({ wait: 5000 });
+    const done = inFlight.run('a', async () => ({ x: { url: 'x' } }));
+    assert.deepEqual(await inFlight.join(inFlight.find(['a'])), { streams: { x: { url: 'x' } }, partial: false });
+    await done;
+
+    const failing = inFlight.run('b', async partial => {
+        partial.y = { url: 'y' };
+        await new Promise(resolve => setTimeout(resolve, 10));
+        throw new Error('browser crashed');
+    });
+    assert.deepEqual(await inFlight.join(inFlight.find(['b'])), { streams: { y: { url: 'y' } }, partial: true });
+    await assert.rejects(failing, /browser crashed/);
+});
@@ -0,0 +1,95 @@
+//test/metadata.test.js - TMDB -> OMDB FAILOVER AND EPISODE ROLLOVER (stubbed HTTP)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.TMDB_API_KEY = 'tmdb-key';
+process.env.OMDB_API_KEY = 'omdb-key';
+delete process.env.TMDB_ACCESS_TOKEN;
+delete process.env.METADATA_ORDER;
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const metadata = require('../metadata');
+
+const originalGet = axios.get;
+let requests;
+
+// Answers from `routes` by host; a function value may throw to play a failing service
+function stubHttp(routes) {
+    requests = [];
+    axios.get = async (url, config = {}) => {
+        const { host } = new URL(url);
+        requests.push({ host, url, params: config.params });
+        const route = routes[host];
+        if (!route) throw new Error(`unexpected request to ${url}`);
+        return { status: 200, data: await route(url, config.params || {}) };
+    };
+}
+
+afterEach(() => {
+    axios.get = originalGet;
+});
+
+const omdbTitle = () => ({ Response: 'True', Title: 'The Fixture', Year: '2001–2004', Type: 'series', Poster: 'N/A', Plot: 'N/A' });
+
+test('metadata: TMDB is asked first and OMDb takes over when it fails', async () => {
+    stubHttp({
+        'api.themoviedb.org': () => { throw new Error('Request failed with status code 503'); },
+        'www.omdbapi.com': omdbTitle
+    });
+
+    const title = await metadata.getTitle('tt0000201', 'series');
+    assert.deepEqual(title, {
+        imdbId: 'tt0000201', title: 'The Fixture', year: '2001', type: 'series', poster: null, description: null
+    });
+    assert.deepEqual(requests.map(request => request.host), ['api.themoviedb.org', 'www.omdbapi.com']);
+    assert.equal(requests[0].params.api_key, 'tmdb-key');
+    assert.equal(requests[1].params.apikey, 'omdb-key');
+});
+
+test('metadata: an empty TMDB answer also falls through, and a TMDB hit stops there', async () => {
+    stubHttp({
+        'api.themoviedb.org': () => ({ movie_results: [], tv_results: [] }),
+        'www.omdbapi.com': (url, params) => ({
+            Response: 'True',
+            Episodes: [{ Episode: '1', Title: 'Pilot' }, { Episode: '2', Title: 'Second' }],
+            Season: params.Season
+        })
+    });
+    assert.equal(await metadata.getSeasonEpisodeCount('tt0000202', 1), 2);
+    assert.deepEqual(requests.map(request => request.host), ['api.themoviedb.org', 'www.omdbapi.com']);
+
+    stubHttp({
+        'api.themoviedb.org': () => ({ movie_results: [{ id: 603, title: 'From TMDB', release_date: '1999-03-31', overview: 'x' }] })
+    });
+    const title = await metadata.getTitle('tt0000203', 'movie');
+    assert.equal(title.title, 'From TMDB');
+    assert.equal(title.tmdbId, 603);
+    assert.deepEqual(requests.map(request => request.host), ['api.themoviedb.org']);
+});
+
+test('metadata: when every service fails the title is Unknown', async () => {
+    stubHttp({
+        'api.themoviedb.org': () => { throw new Error('timeout of 5000ms exceeded'); },
+        'www.omdbapi.com': () => ({ Response: 'False', Error: 'Incorrect IMDb ID.' })
+    });
+    const title = await metadata.getTitle('tt0000204', 'movie');
+    assert.equal(title.title, 'Unknown');
+    assert.equal(requests.length, 2);
+});
+
+test('metadata: upcoming episodes roll over into the next season and stop at the finale', async () => {
+    // Two seasons of 3 episodes; every other season is unknown to both services
+    const seasons = { 1: 3, 2: 3 };
+    stubHttp({
+        'api.themoviedb.org': () => ({ movie_results: [], tv_results: [] }),
+        'www.omdbapi.com': (url, { Season }) => (seasons[Season]
+            ? { Response: 'True', Episodes: Array.from({ length: seasons[Season] }, (_, index) => ({ Episode: String(index + 1), Title: 'x' })) }
+            : { Response: 'False', Error: 'Series or season not found!' })
+    });
+
+    assert.deepEqual(await metadata.nextEpisodes('tt0000205', 1, 1, 2), [{ season: 1, episode: 2 }, { season: 1, episode: 3 }]);
+    assert.deepEqual(await metadata.nextEpisodes('tt0000205', 1, 2, 2), [{ season: 1, episode: 3 }, { season: 2, episode: 1 }]);
+    assert.deepEqual(await metadata.nextEpisodes('tt0000205', 1, 3, 2), [{ season: 2, episode: 1 }, { season: 2, episode: 2 }]);
+    assert.deepEqual(await metadata.nextEpisodes('tt0000205', 2, 2, 2), [{ season: 2, episode: 3 }]);
+    assert.deepEqual(await metadata.nextEpisodes('tt0000205', 2, 3, 2), []);
+});
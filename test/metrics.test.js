@@ -0,0 +1,69 @@
+//test/metrics.test.js - PROMETHEUS TEXT RENDERING
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+// The block rendered for one metric, HELP and TYPE lines included
+function block(name) {
+    return metrics.render().trimEnd().split('\n\n').find(section => section.startsWith(`# HELP ${name} `)).split('\n');
+}
+
+test('metrics: counters add up per label set', () => {
+    metrics.requests.inc({ type: 'movie' });
+    metrics.requests.inc({ type: 'movie' });
+    metrics.requests.inc({ type: 'series' }, 3);
+
+    assert.deepEqual(block('bytewatch_stream_requests_total'), [
+        '# HELP bytewatch_stream_requests_total Stream requests by content type',
+        '# TYPE bytewatch_stream_requests_total counter',
+        'bytewatch_stream_requests_total{type="movie"} 2',
+        'bytewatch_stream_requests_total{type="series"} 3'
+    ]);
+});
+
+test('metrics: collected gauges and counters, with and without labels', () => {
+    let pages = 4;
+    metrics.registerGauge('test_pool_pages', 'Pages open', () => pages);
+    metrics.registerCounter('test_cache_hits_total', 'Hits', () => [
+        { labels: { namespace: 'streams' }, value: 7 },
+        { labels: {}, value: 1 }
+    ], ['namespace']);
+
+    assert.deepEqual(block('test_pool_pages'), ['# HELP test_pool_pages Pages open', '# TYPE test_pool_pages gauge', 'test_pool_pages 4']);
+    pages = 5;
+    assert.equal(block('test_pool_pages')[2], 'test_pool_pages 5'); // read at render time
+    assert.deepEqual(block('test_cache_hits_total').slice(1), [
+        '# TYPE test_cache_hits_total counter',
+        'test_cache_hits_total{namespace="streams"} 7',
+        'test_cache_hits_total{namespace=""} 1'
+    ]);
+});
+
+test('metrics: label values escape backslashes, quotes and newlines', () => {
+    metrics.providerAttempts.inc({ provider: 'we"ird\\name\nhere' });
+    metrics.registerGauge('test_escaped', 'Escaping', () => [{ labels: { path: 'C:\\tmp "x"' }, value: 1 }], ['path']);
+
+    assert.ok(block('bytewatch_provider_attempts_total').includes('bytewatch_provider_attempts_total{provider="we\\"ird\\\\name\\nhere"} 1'));
+    assert.equal(block('test_escaped')[2], 'test_escaped{path="C:\\\\tmp \\"x\\""} 1');
+});
+
+test('metrics: histograms render cumulative buckets, sum and count', () => {
+    metrics.providerLatency.observe({ provider: 'vidlink' }, 3);
+    metrics.providerLatency.observe({ provider: 'vidlink' }, 12);
+
+    const lines = block('bytewatch_provider_extraction_seconds').filter(line => line.includes('"vidlink"'));
+    assert.deepEqual(lines, [
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="1"} 0',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="2"} 0',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="5"} 1',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="10"} 1',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="15"} 2',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="20"} 2',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="30"} 2',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="45"} 2',
+        'bytewatch_provider_extraction_seconds_bucket{provider="vidlink",le="+Inf"} 2',
+        'bytewatch_provider_extraction_seconds_sum{provider="vidlink"} 15',
+        'bytewatch_provider_extraction_seconds_count{provider="vidlink"} 2'
+    ]);
+    assert.ok(metrics.render().endsWith('\n'));
+});
@@ -0,0 +1,115 @@
+//test/mirrors.test.js - PROVIDER CONFIG RELOAD AND MIRROR FAILOVER (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runExtractor = require('../unified-extractor');
+const browserPool = require('../browser-pool');
+const { getProvider, reloadConfig, isMirrorFailure, checkMirrorStatus, MirrorError } = require('../providers');
+const { startFixtureServer } = require('./fixture-server');
+
+const DEAD_MIRROR = 'http://127.0.0.1:9'; // nothing listens on the discard port
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, mirrors: provider.mirrors, resolveHttp: provider.resolveHttp };
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bytewatch-providers-'));
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+});
+
+afterEach(() => {
+    reloadConfig(); // back to providers/config.json
+    Object.assign(provider, original);
+});
+
+after(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await browserPool.destroy();
+    await server.close();
+});
+
+function sourcesResolver() {
+    return async ({ baseUrl, http }) => {
+        const { data } = await http.get(`${baseUrl}/sources.json`);
+        return data.sources.map(source => ({ url: `${baseUrl}/${source.file}` }));
+    };
+}
+
+test('urls come from the config templates', () => {
+    const wooflix = getProvider('wooflix');
+    assert.equal(
+        wooflix.url({ baseUrl: 'https://w.example', type: 'series', id: 'tt0944947', season: 1, episode: 2 }),
+        'https://w.example/watch/tv/tt0944947?season=1&episode=2'
+    );
+    assert.equal(wooflix.url({ baseUrl: 'https://w.example', type: 'movie', id: 'tt0111161' }), 'https://w.example/watch/movie/tt0111161');
+});
+
+test('dead mirror: fails over to the next one and remembers it', async () => {
+    provider.mirrors = [DEAD_MIRROR, server.baseUrl('vidlink')];
+    provider.baseUrl = DEAD_MIRROR;
+    provider.resolveHttp = sourcesResolver();
+    browserPool.acquire = () => assert.fail('browser path must not run');
+
+    try {
+        const streams = await runExtractor('vidlink', 'movie', 'tt0111161');
+        assert.deepEqual(Object.keys(streams), ['vidlink 1080p', 'vidlink 720p']);
+        assert.equal(provider.baseUrl, server.baseUrl('vidlink'));
+    } finally {
+        delete browserPool.acquire;
+    }
+});
+
+test('other failures do not rotate mirrors', async () => {
+    provider.mirrors = [server.baseUrl('vidlink'), DEAD_MIRROR];
+    provider.baseUrl = server.baseUrl('vidlink');
+    provider.resolveHttp = async () => { throw new Error('source API changed'); };
+    browserPool.acquire = async () => { throw new Error('browser fallback reached'); };
+
+    try {
+        await assert.rejects(runExtractor('vidlink', 'movie', 'tt0111161'), /browser fallback reached/);
+        assert.equal(provider.baseUrl, server.baseUrl('vidlink'));
+    } finally {
+        delete browserPool.acquire;
+    }
+});
+
+test('Cloudflare origin errors and connection errors count as a dead mirror', () => {
+    assert.throws(() => checkMirrorStatus(522, 'https://w.example'), MirrorError);
+    assert.doesNotThrow(() => checkMirrorStatus(404, 'https://w.example'));
+    assert.ok(isMirrorFailure({ response: { status: 521 } }));
+    assert.ok(isMirrorFailure(new Error('net::ERR_NAME_NOT_RESOLVED at https://w.example/movie/tt1')));
+    assert.ok(!isMirrorFailure(new Error('Navigation timeout of 20000 ms exceeded')));
+});
+
+test('reload: new mirrors and templates apply to the same provider object', () => {
+    const file = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        vidlink: {
+            mirrors: ['https://a.example/', 'https://b.example'],
+            urls: { movie: '{baseUrl}/film/{id}', series: '{baseUrl}/show/{id}/{season}/{episode}' }
+        }
+    }));
+
+    assert.equal(reloadConfig(file), true);
+    assert.strictEqual(getProvider('vidlink'), provider);
+    assert.deepEqual(provider.mirrors, ['https://a.example', 'https://b.example']);
+    assert.equal(provider.baseUrl, 'https://a.example');
+    assert.equal(provider.url({ baseUrl: provider.baseUrl, type: 'movie', id: 'tt0111161' }), 'https://a.example/film/tt0111161');
+    // Behaviour still comes from the module and the defaults
+    assert.equal(typeof provider.matchRequest, 'function');
+    // Providers with no mirrors left in the config are dropped
+    assert.equal(getProvider('vidfast'), null);
+});
+
+test('reload: a broken file keeps the running providers', () => {
+    const file = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(file, '{ "vidlink": ');
+
+    assert.equal(reloadConfig(file), false);
+    assert.deepEqual(provider.mirrors, original.mirrors);
+    assert.ok(getProvider('vidfast'));
+});
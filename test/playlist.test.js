@@ -0,0 +1,85 @@
+//test/playlist.test.js - MASTER PLAYLIST RESOLUTION AGAINST LOCAL FIXTURES (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseM3U8PlaylistImmediate } = require('../unified-extractor');
+const { startFixtureServer } = require('./fixture-server');
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('master playlist: one stream per variant, best first, with the variant model', async () => {
+    const headers = { Referer: 'https://example.com/' };
+    const streams = await parseM3U8PlaylistImmediate(server.fileUrl('vidlink', 'master.m3u8'), 'vidlink', headers);
+
+    assert.deepEqual(Object.keys(streams), ['vidlink 1080p', 'vidlink 720p']);
+    assert.equal(streams['vidlink 1080p'].url, server.fileUrl('vidlink', '1080.m3u8'));
+    assert.equal(streams['vidlink 1080p'].variant.videoCodec, 'H.264');
+    assert.equal(streams['vidlink 720p'].variant.bandwidth, 2500000);
+    assert.deepEqual(streams['vidlink 720p'].headers, headers);
+});
+
+test('master playlist: 2160p HDR, audio languages, I-frames and subtitle renditions', async () => {
+    const streams = await parseM3U8PlaylistImmediate(server.fileUrl('vidfast', 'master.m3u8'), 'vidfast');
+
+    assert.deepEqual(Object.keys(streams), ['vidfast 2160p', 'vidfast 1080p']);
+
+    const uhd = streams['vidfast 2160p'].variant;
+    assert.equal(uhd.videoCodec, 'HEVC');
+    assert.equal(uhd.hdr, 'HDR10');
+    assert.equal(uhd.frameRate, 23.98);
+    assert.deepEqual(uhd.audio, ['eng', 'hin']);
+
+    // Trick-play playlists are linked, never listed as streams
+    assert.equal(streams['vidfast 1080p'].variant.iFrameUrl, server.fileUrl('vidfast', 'iframe_1080.m3u8'));
+
+    // Single-segment subtitle renditions resolve to the VTT file itself
+    assert.deepEqual(streams['vidfast 2160p'].subtitles.map(({ url, lang }) => ({ url, lang })), [
+        { url: server.fileUrl('vidfast', 'subs_en.vtt'), lang: 'eng' }
+    ]);
+});
+
+test('master playlist: variants with the same label do not overwrite each other', async () => {
+    const streams = await parseM3U8PlaylistImmediate(server.fileUrl('playlists', 'duplicate-labels.m3u8'), 'vidlink');
+
+    assert.equal(Object.keys(streams).length, 3);
+    assert.ok(streams['vidlink 1080p']);
+    assert.ok(streams['vidlink 1080p H.264']);
+    assert.ok(Object.keys(streams).every(name => name.startsWith('vidlink 1080p')));
+});
+
+test('master playlist: names already taken by the provider are not reused', async () => {
+    const taken = { 'vidlink 1080p': { url: 'https://cdn.example/other.m3u8' } };
+    const streams = await parseM3U8PlaylistImmediate(server.fileUrl('vidlink', 'master.m3u8'), 'vidlink', {}, taken);
+
+    assert.ok(!('vidlink 1080p' in streams));
+    assert.ok(streams['vidlink 1080p H.264']);
+});
+
+test('master playlist: quality from bandwidth when there is no resolution', async () => {
+    const streams = await parseM3U8PlaylistImmediate(server.fileUrl('playlists', 'bandwidth-only.m3u8'), 'vidify');
+
+    assert.deepEqual(Object.keys(streams), ['vidify 1080p', 'vidify 480p']);
+});
+
+test('media playlist: kept as a single direct link', async () => {
+    const url = server.fileUrl('vidify', 'stream.m3u8');
+    const streams = await parseM3U8PlaylistImmediate(url, 'vidify');
+
+    assert.deepEqual(streams, { 'vidify Link': { url, headers: {} } });
+});
+
+test('unreachable playlist: falls back to the playlist URL', async () => {
+    const url = `${server.origin}/missing/master.m3u8`;
+    const streams = await parseM3U8PlaylistImmediate(url, 'vidify');
+
+    assert.deepEqual(streams, { 'vidify Link': { url, headers: {} } });
+});
@@ -0,0 +1,54 @@
+//test/prefetch.test.js - BOUNDED BACKGROUND PREFETCH QUEUE
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Prefetcher = require('../prefetch');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(condition) {
+    for (let attempt = 0; attempt < 200 && !condition(); attempt++) await sleep(5);
+    assert.ok(condition(), 'condition never held');
+}
+
+test('prefetch: a full queue drops new episodes and a queued one is not added twice', async () => {
+    const warmed = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const prefetcher = new Prefetcher({
+        nextEpisodes: async (imdbId, season, episode, count) =>
+            Array.from({ length: count }, (_, index) => ({ season, episode: episode + index + 1 })),
+        warm: async job => {
+            warmed.push(`${job.imdbId}:${job.season}:${job.episode}`);
+            await gate;
+        },
+        options: { enabled: true, episodes: 4, maxQueue: 2 }
+    });
+
+    // E2 and E3 fit, E4 and E5 are dropped; E2 starts straight away
+    prefetcher.schedule('tt0000301', 1, 1);
+    await until(() => warmed.length === 1);
+    assert.deepEqual([...prefetcher.queue.keys()], ['tt0000301:1:3']);
+
+    prefetcher.schedule('tt0000302', 1, 1);
+    prefetcher.schedule('tt0000301', 1, 2);
+    await sleep(20);
+    assert.deepEqual([...prefetcher.queue.keys()], ['tt0000301:1:3', 'tt0000302:1:2']);
+
+    release();
+    await until(() => !prefetcher.running);
+    assert.deepEqual(warmed, ['tt0000301:1:2', 'tt0000301:1:3', 'tt0000302:1:2']);
+});
+
+test('prefetch: disabled means nothing is planned', async () => {
+    let planned = false;
+    const prefetcher = new Prefetcher({
+        nextEpisodes: async () => { planned = true; return []; },
+        warm: async () => {},
+        options: { enabled: false }
+    });
+    prefetcher.schedule('tt0000303', 1, 1);
+    await sleep(10);
+    assert.equal(planned, false);
+});
@@ -0,0 +1,72 @@
+//test/provider-health.test.js - CIRCUIT BREAKER PROBES AND WHAT COUNTS AS A FAILURE (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.HEALTH_OPEN_MS = '1';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const providerHealth = require('../provider-health');
+const browserPool = require('../browser-pool');
+const { getProvider } = require('../providers');
+const { addonInterface, shutdown } = require('../addon');
+
+const provider = getProvider('vidfast');
+const originalWait = provider.wait;
+
+after(async () => {
+    provider.wait = originalWait;
+    delete browserPool.acquire;
+    await shutdown();
+});
+
+// A pooled page that navigates with `goto` and never sees a stream request
+function fakeBrowser(goto) {
+    const page = {
+        setUserAgent: async () => {},
+        setRequestInterception: async () => {},
+        evaluateOnNewDocument: async () => {},
+        on: () => {},
+        goto,
+        cookies: async () => []
+    };
+    browserPool.acquire = async () => ({ page, release: async () => {} });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const select = name => providerHealth.selectSources([{ name, priority: 1 }]).map(source => source.name);
+
+test('a shed probe is given back, so the provider can be probed again', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) providerHealth.recordFailure('flaky', 100, 'timeout');
+    assert.equal(providerHealth.snapshot().flaky.circuit, 'open');
+    await sleep(5);
+
+    assert.deepEqual(select('flaky'), ['flaky']); // the probe
+    assert.deepEqual(select('flaky'), []);        // only one at a time
+
+    providerHealth.releaseProbe('flaky');
+    assert.equal(providerHealth.snapshot().flaky.circuit, 'open');
+    assert.deepEqual(select('flaky'), ['flaky']);
+
+    providerHealth.recordSuccess('flaky', 100);
+    assert.equal(providerHealth.snapshot().flaky.circuit, 'closed');
+});
+
+test('a page that fails to load is a provider failure', async () => {
+    fakeBrowser(async () => { throw new Error('Navigation timeout of 20000 ms exceeded'); });
+
+    const { streams } = await addonInterface.get('stream', 'movie', 'tt0000401', {}, { provider_vidfast: 'on' });
+    assert.match(streams[0].name, /No Streams Available/);
+    const health = providerHealth.snapshot().vidfast;
+    assert.equal(health.consecutiveFailures, 1);
+    assert.equal(health.lastError, 'Navigation timeout of 20000 ms exceeded');
+});
+
+test('a page that loads but plays nothing is an empty result', async () => {
+    provider.wait = { ...originalWait, streamTimeout: 50 };
+    fakeBrowser(async () => null);
+
+    const { streams } = await addonInterface.get('stream', 'movie', 'tt0000402', {}, { provider_vidfast: 'on' });
+    assert.match(streams[0].name, /No Streams Available/);
+    const health = providerHealth.snapshot().vidfast;
+    assert.equal(health.consecutiveFailures, 1); // unchanged by an empty result
+    assert.equal(health.lastError, 'no streams found');
+});
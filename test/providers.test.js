@@ -0,0 +1,120 @@
+//test/providers.test.js - EACH PROVIDER'S REQUEST MATCHING AGAINST RECORDED PAGES
+// Drives the real runExtractor (browser pool, request interception, playlist
+// parsing) with every provider's baseUrl pointed at the local fixture server.
+// Needs Chrome; skipped, with the reason in the test output, when the pool can't
+// launch one (set CHROME_PATH).
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const runExtractor = require('../unified-extractor');
+const browserPool = require('../browser-pool');
+const { getProvider } = require('../providers');
+const { startFixtureServer } = require('./fixture-server');
+
+const IMDB_ID = 'tt0111161';
+const LAUNCH_TIMEOUT = 30000;
+
+// Fixture pages load their files by relative URL, so they resolve under the page's path
+const pageFileUrl = (server, name, fileName) =>
+    new URL(fileName, getProvider(name).url({ baseUrl: server.baseUrl(name), type: 'movie', id: IMDB_ID })).href;
+
+// ✅ What each provider's fixture must produce
+const EXPECTATIONS = {
+    vidlink: {
+        names: ['vidlink 1080p', 'vidlink 720p'],
+        check: (streams, { server, subtitles }) => {
+            assert.equal(streams['vidlink 720p'].url, pageFileUrl(server, 'vidlink', '720.m3u8'));
+            assert.deepEqual(subtitles.map(subtitle => subtitle.lang), ['eng']);
+        }
+    },
+    wooflix: {
+        names: ['wooflix Link'],
+        check: streams => {
+            // The file sits next to the embed, and the embed is the Referer the CDN expects
+            const { url, headers } = streams['wooflix Link'];
+            assert.match(headers.Referer, /embed\.html$/);
+            assert.equal(url, new URL('movie.mp4', headers.Referer).href);
+        }
+    },
+    vidfast: {
+        names: ['vidfast 2160p', 'vidfast 1080p'],
+        check: streams => {
+            assert.equal(streams['vidfast 2160p'].variant.hdr, 'HDR10');
+            assert.equal(streams['vidfast 2160p'].subtitles.length, 1);
+        }
+    },
+    vidify: {
+        names: ['vidify Link'],
+        check: (streams, { server }) => {
+            assert.equal(streams['vidify Link'].url, pageFileUrl(server, 'vidify', 'stream.m3u8'));
+            // Shared block patterns: ad and analytics scripts never leave the browser
+            assert.ok(!server.hits.some(hit => hit.includes('ads/') || hit.includes('analytics')));
+        }
+    },
+    vidjoy: {
+        names: ['vidjoy 720p'],
+        check: streams => {
+            assert.ok(Object.values(streams).every(stream => !stream.url.includes('vidjoy-preview')));
+        }
+    },
+    mappletv: {
+        names: ['mappletv Link'],
+        check: streams => {
+            assert.match(streams['mappletv Link'].url, /kendrickl\/a1b2c3\/stream-480$/);
+        }
+    }
+};
+
+let server;
+let browserUnavailable = null;
+
+before(async () => {
+    server = await startFixtureServer();
+    try {
+        let timer;
+        const lease = await Promise.race([
+            browserPool.acquire(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`no browser after ${LAUNCH_TIMEOUT}ms`)), LAUNCH_TIMEOUT);
+            })
+        ]).finally(() => clearTimeout(timer));
+        await lease.release();
+    } catch (error) {
+        browserUnavailable = `Chrome not available: ${error.message}`;
+    }
+});
+
+after(async () => {
+    await browserPool.destroy();
+    await server.close();
+});
+
+test('every enabled provider with fixtures has expectations', () => {
+    for (const name of server.fixtures.filter(name => getProvider(name))) {
+        assert.ok(EXPECTATIONS[name], `missing expectations for ${name}`);
+    }
+});
+
+for (const [name, expected] of Object.entries(EXPECTATIONS)) {
+    test(`${name}: extracts the recorded streams`, async t => {
+        if (browserUnavailable) return t.skip(browserUnavailable);
+
+        const provider = getProvider(name);
+        if (!provider) return t.skip(`${name} is disabled`);
+
+        const realBaseUrl = provider.baseUrl;
+        provider.baseUrl = server.baseUrl(name);
+        server.hits.length = 0;
+        const subtitles = [];
+        const collector = { add() {}, addSubtitles: found => subtitles.push(...found) };
+
+        try {
+            const streams = await runExtractor(name, 'movie', IMDB_ID, null, null, collector);
+            assert.deepEqual(Object.keys(streams).sort(), [...expected.names].sort());
+            expected.check(streams, { server, subtitles });
+        } finally {
+            provider.baseUrl = realBaseUrl;
+        }
+    });
+}
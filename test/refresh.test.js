@@ -0,0 +1,99 @@
+//test/refresh.test.js - STALE-WHILE-REVALIDATE AND POPULAR-TITLE REFRESH (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STREAM_VERIFY = 'false'; // fixture variants have no segments
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Refresher = require('../refresh');
+const { addonInterface, shutdown } = require('../addon');
+const { getProvider } = require('../providers');
+const { createCache } = require('../cache');
+const { startFixtureServer } = require('./fixture-server');
+
+const provider = getProvider('vidlink');
+const original = { baseUrl: provider.baseUrl, resolveHttp: provider.resolveHttp };
+const streamCache = createCache('streams');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+    provider.baseUrl = server.baseUrl('vidlink');
+});
+
+after(async () => {
+    Object.assign(provider, original);
+    await server.close();
+    await shutdown();
+});
+
+function fakeRefresher(options = {}) {
+    const refreshed = [];
+    const refresher = new Refresher({
+        isStale: async job => job.stale,
+        refresh: async job => { refreshed.push(job.name); },
+        options: { enabled: true, minHits: 2, budget: 2, ...options }
+    });
+    return { refresher, refreshed };
+}
+
+const hit = (refresher, name, count, stale = true) => {
+    for (let index = 0; index < count; index++) refresher.recordHit(name, { name, stale });
+};
+
+test('refresher: popular stale entries first, within the budget', async () => {
+    const { refresher, refreshed } = fakeRefresher();
+    hit(refresher, 'once', 1);
+    hit(refresher, 'fresh', 9, false);
+    hit(refresher, 'warm', 3);
+    hit(refresher, 'hot', 8);
+    hit(refresher, 'hotter', 5);
+
+    assert.deepEqual(refresher.popular().map(([key]) => key), ['fresh', 'hot', 'hotter', 'warm']);
+    assert.equal(await refresher.tick(), 2);
+    assert.deepEqual(refreshed, ['hot', 'hotter']);
+});
+
+test('refresher: hit counts decay and an entry is not refreshed twice in a row', async () => {
+    const { refresher, refreshed } = fakeRefresher();
+    hit(refresher, 'hot', 8);
+
+    assert.equal(await refresher.tick(), 1);
+    assert.equal(refresher.entries.get('hot').hits, 4);
+    // Still popular and stale, but it was just refreshed
+    assert.equal(await refresher.tick(), 0);
+    assert.equal(await refresher.revalidate('hot', { name: 'hot' }), false);
+    assert.deepEqual(refreshed, ['hot']);
+});
+
+test('refresher: disabled means no refreshes', async () => {
+    const { refresher, refreshed } = fakeRefresher({ enabled: false });
+    hit(refresher, 'hot', 8);
+    assert.equal(await refresher.tick(), 0);
+    assert.deepEqual(refreshed, []);
+});
+
+test('cache: a stale entry is served at once and replaced in the background', async () => {
+    let extractions = 0;
+    provider.resolveHttp = async ({ baseUrl }) => {
+        extractions++;
+        return [{ url: `${baseUrl}/master.m3u8` }];
+    };
+
+    const cacheKey = 'movie:tt0000098:vidlink';
+    const stale = { 'vidlink Link': { url: server.fileUrl('vidlink', 'old.m3u8') } };
+    await streamCache.set(cacheKey, { streams: stale, staleAt: Date.now() - 1000 });
+
+    const { streams } = await addonInterface.get('stream', 'movie', 'tt0000098', {}, { provider_vidlink: 'on' });
+    assert.deepEqual(streams.map(stream => stream.url), [stale['vidlink Link'].url]);
+
+    let entry;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        entry = await streamCache.get(cacheKey);
+        if (!entry.streams['vidlink Link']) break;
+        await sleep(50);
+    }
+    assert.equal(extractions, 1);
+    assert.deepEqual(Object.keys(entry.streams), ['vidlink 1080p', 'vidlink 720p']);
+    assert.ok(entry.staleAt > Date.now());
+});
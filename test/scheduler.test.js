@@ -0,0 +1,95 @@
+//test/scheduler.test.js - PROVIDER JOB SLOTS, ORDERING, SHEDDING AND TIMEOUTS
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../scheduler');
+const { Scheduler, SchedulerBusyError } = scheduler;
+
+// A job that holds its slot until released
+function blocker(instance, provider, job = {}) {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const done = instance.run({ provider, ...job }, () => held);
+    return { release, done };
+}
+
+test('a timed-out job keeps its slot until the task itself settles', async () => {
+    let finish;
+    const task = new Promise(resolve => { finish = resolve; });
+
+    await assert.rejects(scheduler.run({ provider: 'slow', timeout: 20 }, () => task), /slow timeout after 20ms/);
+    assert.equal(scheduler.stats().running, 1);
+    assert.equal(scheduler.stats().byProvider.slow, 1);
+
+    finish({});
+    await task;
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(scheduler.stats().running, 0);
+});
+
+test('a job that settles in time clears its deadline', async () => {
+    const startedAt = Date.now();
+    assert.deepEqual(await scheduler.run({ provider: 'fast', timeout: 60000 }, async () => ({ ok: true })), { ok: true });
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('queued jobs start interactive first, then by SOURCES rank, then in arrival order', async () => {
+    const instance = new Scheduler({ maxJobs: 1, maxPerProvider: 1, maxQueue: 10, maxWait: 60000 });
+    const started = [];
+    const job = (provider, priority, rank) => instance.run({ provider, priority, rank }, async () => { started.push(provider); });
+
+    const gate = blocker(instance, 'gate');
+    const jobs = [
+        job('background', 'background', 0),
+        job('rank2', 'interactive', 2),
+        job('rank1', 'interactive', 1),
+        job('rank1-later', 'interactive', 1)
+    ];
+    gate.release();
+    await Promise.all([gate.done, ...jobs]);
+    assert.deepEqual(started, ['rank1', 'rank1-later', 'rank2', 'background']);
+});
+
+test('a provider at its cap waits while other providers use the free slots', async () => {
+    const instance = new Scheduler({ maxJobs: 3, maxPerProvider: 1, maxQueue: 10, maxWait: 60000 });
+    const first = blocker(instance, 'alpha');
+    const second = blocker(instance, 'alpha');
+    const other = blocker(instance, 'bravo');
+
+    assert.deepEqual(instance.stats(), { running: 2, queued: 1, maxJobs: 3, shed: 0, byProvider: { alpha: 1, bravo: 1 } });
+    first.release();
+    await first.done;
+    await new Promise(resolve => setImmediate(resolve)); // the slot is freed right after the job settles
+    assert.deepEqual(instance.stats().byProvider, { alpha: 1, bravo: 1 });
+    assert.equal(instance.stats().queued, 0);
+
+    second.release();
+    other.release();
+    await Promise.all([second.done, other.done]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(instance.stats().running, 0);
+});
+
+test('a full queue sheds its newest background job for interactive work, and only then saturates', async () => {
+    const instance = new Scheduler({ maxJobs: 1, maxPerProvider: 1, maxQueue: 2, maxWait: 60000 });
+    const gate = blocker(instance, 'gate');
+    const older = instance.run({ provider: 'older', priority: 'background' }, async () => 'older');
+    const newer = instance.run({ provider: 'newer', priority: 'background' }, async () => 'newer');
+    assert.equal(instance.saturated(), false);
+
+    const first = instance.run({ provider: 'first' }, async () => 'first');
+    await assert.rejects(newer, SchedulerBusyError);
+    const second = instance.run({ provider: 'second' }, async () => 'second');
+    await assert.rejects(older, SchedulerBusyError);
+    assert.equal(instance.saturated(), true);
+
+    // Nothing left to give up: both kinds are turned away
+    await assert.rejects(instance.run({ provider: 'late', priority: 'background' }, async () => 'late'), /queue full/);
+    await assert.rejects(instance.run({ provider: 'late' }, async () => 'late'), /queue full/);
+    assert.equal(instance.stats().shed, 4);
+
+    gate.release();
+    assert.deepEqual(await Promise.all([first, second]), ['first', 'second']);
+    assert.equal(instance.saturated(), false);
+});
@@ -0,0 +1,117 @@
+//test/stream-proxy.test.js - /proxy TOKENS, HEADER-BOUND STREAMS AND UPSTREAM FAILURES
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.PROXY_SECRET = 'test-secret';
+process.env.STREAM_PROXY = 'proxy';
+process.env.ADDON_URL = 'https://addon.example';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createProxyRouter, streamDelivery, proxyUrl } = require('../stream-proxy');
+const { verifyStream } = require('../stream-verifier');
+
+const bound = { url: 'https://cdn.example/a.mp4', headers: { Referer: 'https://provider.example/' } };
+let upstream;
+let listener;
+let origin;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        if (req.url === '/moved.m3u8') {
+            res.writeHead(302, { Location: '/hls/index.m3u8' }).end();
+        } else if (req.url === '/hls/index.m3u8') {
+            res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' })
+                .end('#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nseg0.ts\n#EXT-X-ENDLIST\n');
+        } else if (req.url === '/hls/seg0.ts') {
+            res.writeHead(200, { 'Content-Type': 'video/mp2t' }).end('segment zero');
+        } else if (req.url === '/bound.mp4' && !req.headers.referer) {
+            res.writeHead(403).end();
+        } else if (req.url === '/bound.mp4' || req.url === '/open.mp4') {
+            res.writeHead(206, { 'Content-Type': 'video/mp4' }).end(Buffer.alloc(1024));
+        } else {
+            // Sends half of what it promised, then drops the connection
+            res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 1024 * 1024 });
+            res.write(Buffer.alloc(64 * 1024), () => setTimeout(() => res.socket.destroy(), 20));
+        }
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    const app = express();
+    app.use('/proxy', createProxyRouter());
+    listener = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => listener.once('listening', resolve));
+    origin = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => listener.close(resolve));
+    await new Promise(resolve => upstream.close(resolve));
+});
+
+const upstreamUrl = file => `http://127.0.0.1:${upstream.address().port}/${file}`;
+
+test('proxy: header-bound streams get a sealed proxy URL', () => {
+    const { url } = streamDelivery(bound);
+    assert.match(url, /^https:\/\/addon\.example\/proxy\/[\w-]+\/file$/);
+    // Neither the upstream URL nor the headers can be read off the token
+    const token = Buffer.from(url.split('/')[4], 'base64url').toString('latin1');
+    assert.ok(!token.includes('cdn.example') && !token.includes('provider.example'));
+});
+
+test('proxy: expired and tampered tokens are refused', async () => {
+    const expired = proxyUrl(origin, upstreamUrl('open.mp4'), bound.headers, Date.now() - 1000);
+    assert.equal((await fetch(expired)).status, 403);
+
+    const live = proxyUrl(origin, upstreamUrl('open.mp4'), bound.headers, Date.now() + 60000);
+    assert.equal((await fetch(live)).status, 206);
+    const token = live.split('/')[4];
+    const tampered = live.replace(token, `${token.slice(0, -2)}${token.endsWith('AA') ? 'BB' : 'AA'}`);
+    assert.equal((await fetch(tampered)).status, 403);
+});
+
+test('proxy: playlist URIs resolve against the URL after redirects', async () => {
+    const response = await fetch(proxyUrl(origin, upstreamUrl('moved.m3u8'), bound.headers));
+    const segment = (await response.text()).split('\n').find(line => line.startsWith('https://addon.example'));
+    assert.equal(await (await fetch(segment.replace('https://addon.example', origin))).text(), 'segment zero');
+});
+
+test('proxy: only streams that fail without their headers are header-bound', async () => {
+    const headers = { Referer: 'https://provider.example/', Cookie: 'session=1', 'User-Agent': 'test' };
+    const open = await verifyStream({ url: upstreamUrl('open.mp4'), headers });
+    const needy = await verifyStream({ url: upstreamUrl('bound.mp4'), headers });
+    assert.equal(open.headerBound, false);
+    assert.equal(needy.headerBound, true);
+
+    const bare = streamDelivery({ url: upstreamUrl('open.mp4'), headers, headerBound: false });
+    assert.equal(bare.url, upstreamUrl('open.mp4'));
+    assert.match(streamDelivery({ url: upstreamUrl('bound.mp4'), headers, headerBound: true }).url, /^https:\/\/addon\.example\/proxy\//);
+});
+
+test('proxy: an upstream that dies mid-body ends the client response', async () => {
+    const url = proxyUrl(origin, `http://127.0.0.1:${upstream.address().port}/a.mp4`, bound.headers);
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    assert.equal(response.status, 200);
+    await assert.rejects(response.arrayBuffer(), error => error.name !== 'TimeoutError');
+});
+
+test('proxy: without PROXY_SECRET streams fall back to hints and the route is off', async () => {
+    const path = require.resolve('../stream-proxy');
+    delete require.cache[path];
+    delete process.env.PROXY_SECRET;
+    try {
+        const unsigned = require('../stream-proxy');
+        assert.deepEqual(unsigned.streamDelivery(bound).behaviorHints.proxyHeaders, { request: bound.headers });
+
+        const app = express();
+        app.use('/proxy', unsigned.createProxyRouter());
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/proxy/abcdef/file`);
+        assert.equal(response.status, 404);
+        await new Promise(resolve => server.close(resolve));
+    } finally {
+        process.env.PROXY_SECRET = 'test-secret';
+        delete require.cache[path];
+    }
+});
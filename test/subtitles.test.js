@@ -0,0 +1,64 @@
+//test/subtitles.test.js - SUBTITLE LANGUAGES AND HLS SUBTITLE RENDITIONS (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Parser } = require('m3u8-parser');
+const { inferLanguage, hlsSubtitleGroups, dedupe } = require('../subtitles');
+const { startFixtureServer } = require('./fixture-server');
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function manifestOf(url) {
+    const parser = new Parser();
+    parser.push(await (await fetch(url)).text());
+    parser.end();
+    return parser.manifest;
+}
+
+test('language: hints first, then the lang parameter, then the file name', () => {
+    assert.equal(inferLanguage('https://cdn.example/a.vtt?lang=es', 'en'), 'eng');
+    assert.equal(inferLanguage('https://cdn.example/a.vtt', 'pt-BR'), 'pob');
+    assert.equal(inferLanguage('https://cdn.example/a.vtt', undefined, 'Deutsch (SDH)'), 'ger');
+    assert.equal(inferLanguage('https://cdn.example/a.vtt?lang=es'), 'spa');
+    assert.equal(inferLanguage('https://cdn.example/subs/movie_en.vtt'), 'eng');
+    assert.equal(inferLanguage('https://cdn.example/Movie.2001.French.srt'), 'fre');
+    assert.equal(inferLanguage('https://cdn.example/subtitles/hindi/track01.vtt'), 'hin');
+});
+
+test('language: short codes away from the extension are not guessed', () => {
+    assert.equal(inferLanguage('https://cdn.example/id/12345.vtt'), 'und');
+    assert.equal(inferLanguage('https://cdn.example/en/track.vtt'), 'und');
+    assert.equal(inferLanguage('https://cdn.example/track.vtt', 'Track 1'), 'und');
+    assert.equal(inferLanguage('not a url'), 'und');
+});
+
+test('hls: one file per rendition, keyed by group; segmented and missing ones are left out', async () => {
+    const playlistUrl = server.fileUrl('playlists', 'subtitle-groups.m3u8');
+    const headers = { Referer: 'https://provider.example/' };
+    const groups = await hlsSubtitleGroups(await manifestOf(playlistUrl), playlistUrl, headers);
+
+    assert.deepEqual(groups, {
+        subs: [{ url: server.fileUrl('playlists', 'es/track.vtt'), lang: 'spa', headers }],
+        forced: [{ url: server.fileUrl('playlists', 'forced_en.vtt'), lang: 'eng', headers }]
+    });
+});
+
+test('hls: a playlist without subtitle renditions has no groups', async () => {
+    const playlistUrl = server.fileUrl('vidlink', 'master.m3u8');
+    assert.deepEqual(await hlsSubtitleGroups(await manifestOf(playlistUrl), playlistUrl), {});
+});
+
+test('dedupe: the same file found twice is kept once', () => {
+    const track = { url: 'https://cdn.example/a.vtt', lang: 'eng' };
+    assert.deepEqual(dedupe([track, { ...track, lang: 'und' }, { url: 'https://cdn.example/b.vtt', lang: 'eng' }]),
+        [track, { url: 'https://cdn.example/b.vtt', lang: 'eng' }]);
+});
@@ -0,0 +1,76 @@
+//test/user-config.test.js - INSTALL-URL SETTINGS AND STREAM FILTERING (no browser)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUserConfig } = require('../user-config');
+const { formatStreams, shutdown } = require('../addon');
+
+const SOURCES = ['vidlink', 'vidfast', 'autoembed'];
+const details = { title: 'Fixture', year: '2001' };
+
+after(async () => {
+    await shutdown();
+});
+
+test('settings: no config means every provider, every quality, no limit', () => {
+    assert.deepEqual(parseUserConfig(undefined, SOURCES), {
+        providers: SOURCES,
+        allProviders: true,
+        minQuality: 0,
+        maxQuality: 5,
+        language: null,
+        maxResults: 0
+    });
+});
+
+test('settings: only checked providers are used, and none checked means all', () => {
+    const some = parseUserConfig({ provider_vidfast: 'on', provider_autoembed: 'on', provider_unknown: 'on' }, SOURCES);
+    assert.deepEqual(some.providers, ['vidfast', 'autoembed']);
+    assert.equal(some.allProviders, false);
+
+    const none = parseUserConfig({ minQuality: '720p' }, SOURCES);
+    assert.deepEqual(none.providers, SOURCES);
+    assert.equal(none.allProviders, true);
+});
+
+test('settings: inverted quality bounds are swapped and unknown ones ignored', () => {
+    const inverted = parseUserConfig({ minQuality: '1080p', maxQuality: '480p' }, SOURCES);
+    assert.deepEqual([inverted.minQuality, inverted.maxQuality], [1, 3]);
+
+    const unknown = parseUserConfig({ minQuality: 'Any', maxQuality: '4K' }, SOURCES);
+    assert.deepEqual([unknown.minQuality, unknown.maxQuality], [0, 5]);
+});
+
+test('settings: maxResults is a positive whole number or unlimited', () => {
+    const maxResults = value => parseUserConfig({ maxResults: value }, SOURCES).maxResults;
+    assert.equal(maxResults('5'), 5);
+    assert.equal(maxResults('abc'), 0);
+    assert.equal(maxResults(''), 0);
+    assert.equal(maxResults('-3'), 0);
+    assert.equal(maxResults(undefined), 0);
+    assert.equal(parseUserConfig({ language: 'Hindi' }, SOURCES).language, 'hi');
+    assert.equal(parseUserConfig({ language: 'Klingon' }, SOURCES).language, null);
+});
+
+test('filtering: provider selection and quality range, unlabelled streams always pass', () => {
+    const streams = {
+        'vidlink 2160p': { url: 'https://a.example/1.m3u8' },
+        'vidlink 720p': { url: 'https://a.example/2.m3u8' },
+        'vidfast 1080p': { url: 'https://b.example/3.m3u8' },
+        'vidfast 360p': { url: 'https://b.example/4.m3u8' },
+        'vidfast Link': { url: 'https://b.example/5.mp4' },
+        'autoembed 1080p': { url: 'https://c.example/6.m3u8' }
+    };
+    const names = settings => formatStreams(streams, details, null, null, settings)
+        .map(stream => stream.name.replace(/^\S+ /, ''))
+        .sort();
+
+    // Inverted bounds still mean 480p..1080p rather than nothing at all
+    const settings = parseUserConfig({ provider_vidlink: 'on', provider_vidfast: 'on', minQuality: '1080p', maxQuality: '480p' }, SOURCES);
+    assert.deepEqual(names(settings), ['vidfast 1080p', 'vidfast Link', 'vidlink 720p']);
+
+    assert.equal(formatStreams(streams, details, null, null, { ...settings, maxResults: 2 }).length, 2);
+    assert.match(formatStreams(streams, details, null, null, parseUserConfig({ provider_vidlink: 'on', minQuality: '1080p', maxQuality: '1440p' }, SOURCES))[0].name,
+        /No Streams Available/);
+});
@@ -0,0 +1,35 @@
+//test/verifier.test.js - LINK CHECKS AGAINST A LOCAL CDN
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { verifyStream } = require('../stream-verifier');
+
+let cdn;
+let closed;
+
+// Ignores Range and would send video forever; records when the client hangs up
+before(async () => {
+    closed = new Promise(resolve => {
+        cdn = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'video/mp4' });
+            const timer = setInterval(() => res.write(Buffer.alloc(64 * 1024)), 5);
+            res.on('close', () => {
+                clearInterval(timer);
+                resolve();
+            });
+        });
+    });
+    await new Promise(resolve => cdn.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+    await new Promise(resolve => cdn.close(resolve));
+});
+
+test('range ignored: reachable without downloading the body', async () => {
+    const result = await verifyStream({ url: `http://127.0.0.1:${cdn.address().port}/full.mp4` });
+    assert.equal(result.status, 'ok');
+    await closed;
+});
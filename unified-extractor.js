@@ -1,52 +1,14 @@
 //unified-extractor.js - SIMPLIFIED REAL-TIME PROCESSING VERSION  
-const { connect } = require("puppeteer-real-browser");
 const logger = require("./logger");
+const browserPool = require("./browser-pool");
+const metrics = require("./metrics");
 const axios = require('axios');
 const { Parser } = require('m3u8-parser');
-
-const extractors = {
-    wooflix: (type, id, season, episode) =>
-        type === 'movie'
-            ? `https://wooflixtv.co/watch/movie/${id}`
-            : `https://wooflixtv.co/watch/tv/${id}?season=${season}&episode=${episode}`,
-    // vidsrc: (type, id, season, episode) =>
-    //     type === 'movie'
-    //         ? `https://vidsrc.xyz/embed/movie/${id}`
-    //         : `https://vidsrc.xyz/embed/tv/${id}/${season}/${episode}`,
-    // vilora: (type, id, season, episode) =>
-    //     type === 'movie'
-    //         ? `https://veloratv.ru/watch/movie/${id}`
-    //         : `https://veloratv.ru/watch/tv/${id}/${season}/${episode}`,
-    vidjoy: (type, id, season, episode) =>
-        type === 'movie'
-            ? `https://vidjoy.pro/embed/movie/${id}`
-            : `https://vidjoy.pro/embed/tv/${id}/${season}/${episode}`,
-    vidify: (type, id, season, episode) => // No ads
-        type === 'movie'
-            ? `https://vidify.top/embed/movie/${id}`
-            : `https://vidify.top/embed/tv/${id}/${season}/${episode}`,
-    vidfast: (type, id, season, episode) =>
-        type === 'movie'
-            ? `https://vidfast.pro/movie/${id}`
-            : `https://vidfast.pro/tv/${id}/${season}/${episode}`,
-    // ✅ NEW PROVIDERS
-    vidlink: (type, id, season, episode) =>
-        type === 'movie'
-            ? `https://vidlink.pro/movie/${id}`
-            : `https://vidlink.pro/tv/${id}/${season}/${episode}`,
-    mappletv: (type, id, season, episode) =>
-        type === 'movie'
-            ? `https://mappletv.uk/watch/movie/${id}`
-            : `https://mappletv.uk/watch/tv/${id}-${season}-${episode}`
-    // autoembed: (type, id, season, episode) =>
-    //     type === 'movie'
-    //         ? `https://player.autoembed.cc/embed/movie/${id}`
-    //         : `https://player.autoembed.cc/embed/tv/${id}/${season}/${episode}`,
-    // 'autoembed-hindi': (type, id, season, episode) =>
-    //     type === 'movie'
-    //         ? `https://test.autoembed.cc/embed/movie/${id}?server=14`
-    //         : `https://test.autoembed.cc/embed/tv/${id}/${season}/${episode}?server=14`
-};
+const { getProvider, isBlocked, isMirrorFailure, checkMirrorStatus, mirrorCandidates, markMirror } = require('./providers');
+const metadata = require('./metadata');
+const providerHealth = require('./provider-health');
+const { hlsSubtitleGroups, inferLanguage } = require('./subtitles');
+const { describeVariants, uniqueName } = require('./hls-variants');
 
 function randomUserAgent() {
     const versions = ['114.0.5735.198', '113.0.5672.126', '112.0.5615.138'];
@@ -54,14 +16,42 @@ function randomUserAgent() {
     return `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`;
 }
 
+// Headers a CDN may check before serving the stream
+const FORWARDED_HEADERS = {
+    'referer': 'Referer',
+    'origin': 'Origin',
+    'cookie': 'Cookie',
+    'user-agent': 'User-Agent'
+};
+
+// ✅ Keep the headers the player sent so the stream can be fetched the same way later
+async function captureHeaders(request, page) {
+    const headers = {};
+    for (const [name, value] of Object.entries(request.headers())) {
+        if (FORWARDED_HEADERS[name.toLowerCase()]) headers[FORWARDED_HEADERS[name.toLowerCase()]] = value;
+    }
+    if (!headers.Cookie) {
+        try {
+            const cookies = await page.cookies(request.url());
+            if (cookies.length > 0) {
+                headers.Cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+            }
+        } catch (cookieError) {
+            // Page already released, go without cookies
+        }
+    }
+    return headers;
+}
+
 // ✅ IMMEDIATE M3U8 parsing - no delays
-async function parseM3U8PlaylistImmediate(playlistUrl, source) {
+async function parseM3U8PlaylistImmediate(playlistUrl, source, headers = {}, taken = {}) {
     try {
         logger.info(`⚡ IMMEDIATE M3U8 parsing for ${source}: ${playlistUrl.substring(0, 60)}...`);
         
         const response = await axios.get(playlistUrl, {
             headers: {
-                'User-Agent': randomUserAgent()
+                'User-Agent': randomUserAgent(),
+                ...headers
             },
             timeout: 8000,
             validateStatus: function (status) {
@@ -74,124 +64,222 @@ async function parseM3U8PlaylistImmediate(playlistUrl, source) {
         parser.end();
         const parsedManifest = parser.manifest;
         const qualityStreams = {};
+        const subtitleGroups = await hlsSubtitleGroups(parsedManifest, playlistUrl, headers);
 
         if (parsedManifest.playlists && parsedManifest.playlists.length > 0) {
             logger.info(`📊 Found ${parsedManifest.playlists.length} quality variants for ${source}`);
             
-            for (const playlist of parsedManifest.playlists) {
-                const resolution = playlist.attributes?.RESOLUTION;
-                const bandwidth = playlist.attributes?.BANDWIDTH;
-                
-                let qualityLabel = 'Unknown Quality';
-                if (resolution) {
-                    const height = resolution.height;
-                    if (height >= 1080) qualityLabel = '1080p';
-                    else if (height >= 720) qualityLabel = '720p';
-                    else if (height >= 480) qualityLabel = '480p';
-                    else qualityLabel = '360p';
-                } else if (bandwidth) {
-                    if (bandwidth >= 3000000) qualityLabel = '1080p';
-                    else if (bandwidth >= 1500000) qualityLabel = '720p';
-                    else if (bandwidth >= 800000) qualityLabel = '480p';
-                    else qualityLabel = '360p';
-                }
+            for (const variant of describeVariants(parsedManifest, playlistUrl)) {
+                const stream = { url: variant.url, headers, variant };
+                const subtitles = subtitleGroups[variant.subtitleGroup];
+                if (subtitles) stream.subtitles = subtitles;
 
-                let streamUrl = playlist.uri;
-                if (!streamUrl.startsWith('http')) {
-                    if (streamUrl.startsWith('/')) {
-                        const urlObj = new URL(playlistUrl);
-                        streamUrl = `${urlObj.protocol}//${urlObj.host}${streamUrl}`;
-                    } else {
-                        const playlistBase = playlistUrl.split('/').slice(0, -1).join('/');
-                        streamUrl = `${playlistBase}/${streamUrl}`;
-                    }
-                }
-
-                qualityStreams[`${source} ${qualityLabel}`] = streamUrl;
-                logger.info(`✅ IMMEDIATE: Added ${source} ${qualityLabel}`);
+                const name = uniqueName({ ...taken, ...qualityStreams }, source, variant);
+                qualityStreams[name] = stream;
+                logger.info(`✅ IMMEDIATE: Added ${name}`);
             }
         } else {
-            qualityStreams[`${source} Link`] = playlistUrl;
+            qualityStreams[`${source} Link`] = { url: playlistUrl, headers };
             logger.info(`✅ IMMEDIATE: Direct stream for ${source}`);
         }
 
         return qualityStreams;
     } catch (error) {
         logger.error(`❌ IMMEDIATE M3U8 parse failed for ${source}: ${error.message}`);
-        return { [`${source} Link`]: playlistUrl };
+        return { [`${source} Link`]: { url: playlistUrl, headers } };
     }
 }
 
-// ✅ SIMPLIFIED MAIN EXTRACTOR - No special provider handling, uniform 20s timeout
-async function runExtractor(source, type, imdbId, season = null, episode = null, progressCollector = null) {
-    if (!extractors[source]) throw new Error(`Unknown source: ${source}`);
+function recordPath(source, path) {
+    providerHealth.recordPath(source, path);
+    metrics.providerPaths.inc({ provider: source, path });
+}
+
+// ✅ Run `attempt(baseUrl)` on the provider's mirrors until one isn't down
+// (see isMirrorFailure). The mirror that answered is remembered for next time.
+async function withMirrors(provider, source, attempt) {
+    const candidates = mirrorCandidates(provider);
+    for (const [index, baseUrl] of candidates.entries()) {
+        try {
+            const result = await attempt(baseUrl);
+            markMirror(provider, baseUrl);
+            return result;
+        } catch (error) {
+            if (!isMirrorFailure(error) || index === candidates.length - 1) throw error;
+            logger.warn(`🪞 ${source} mirror ${baseUrl} is down (${error.message}), trying ${candidates[index + 1]}`);
+        }
+    }
+}
 
-    const streamUrls = {};
-    const url = extractors[source](type, imdbId, season, episode);
-
-    const {browser, page} = await connect({
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-web-security',
-            "--disable-dev-shm-usage",
-            '--disable-features=IsolateOrigins,site-per-process',
-            '--enable-popup-blocking',
-            '--disable-gpu',
-            '--no-first-run'
-        ],
-        turnstile: true,
-        customConfig: {},
-        connectOption: {},
-        disableXvfb: false,
-        ignoreAllFlags: false,
+// ✅ HTTP-ONLY path for providers with a `resolveHttp`: no Chrome at all when it
+// works. Playlists it returns are expanded into variants like sniffed ones.
+async function resolveOverHttp(provider, source, context) {
+    const found = await withMirrors(provider, source, baseUrl => {
+        const http = axios.create({
+            timeout: provider.wait.httpTimeout,
+            headers: { 'User-Agent': randomUserAgent(), 'Referer': `${baseUrl}/` }
+        });
+        const pageUrl = provider.url({ ...context, baseUrl });
+        return provider.resolveHttp({ ...context, baseUrl, pageUrl, http });
     });
+
+    const streams = {};
+    for (const { url, label, headers = {} } of found || []) {
+        if (url.includes('.m3u8') && !label) {
+            Object.assign(streams, await parseM3U8PlaylistImmediate(url, source, headers, streams));
+            continue;
+        }
+        let name = `${source} ${label || 'Link'}`;
+        for (let index = 2; name in streams; index++) name = `${source} ${label || 'Link'} #${index}`;
+        streams[name] = { url, headers };
+    }
+    return streams;
+}
+
+// ✅ What a debugging caller (bin/bytewatch.js) gets back in `options.debug`:
+// every request the page made, when things happened, and optionally a screenshot
+function createDebugRecorder(debug) {
+    const startTime = Date.now();
+    const entries = new WeakMap();
+    Object.assign(debug, { requests: [], timings: {}, path: null });
+
+    return {
+        mark(name) {
+            if (debug.timings[name] === undefined) debug.timings[name] = Date.now() - startTime;
+        },
+        request(request, action) {
+            const entry = { at: Date.now() - startTime, method: request.method(), resourceType: request.resourceType(), url: request.url(), action };
+            entries.set(request, entry);
+            debug.requests.push(entry);
+        },
+        response(response) {
+            const entry = entries.get(response.request());
+            if (entry) entry.status = response.status();
+        },
+        failed(request) {
+            const entry = entries.get(request);
+            if (entry) entry.failure = request.failure() ? request.failure().errorText : 'failed';
+        },
+        path(path) {
+            debug.path = path;
+            this.mark('total');
+        }
+    };
+}
+
+// ✅ MAIN EXTRACTOR - provider-specific behaviour lives in ./providers
+// options: { priority, debug } - `debug` is an object to fill in (see createDebugRecorder),
+// with `debug.screenshotPath` set to save the final page state there
+async function runExtractor(source, type, imdbId, season = null, episode = null, progressCollector = null, options = {}) {
+    const provider = getProvider(source);
+    if (!provider) throw new Error(`Unknown source: ${source}`);
+    const recorder = options.debug ? createDebugRecorder(options.debug) : null;
+
+    let id = imdbId;
+    if (provider.idType === 'tmdb') {
+        id = await metadata.toTmdbId(imdbId, type);
+        if (!id) throw new Error(`No TMDB id for ${imdbId}, ${source} needs one`);
+    }
+
+    if (provider.resolveHttp) {
+        try {
+            const httpStreams = await resolveOverHttp(provider, source, { type, id, imdbId, season, episode });
+            if (Object.keys(httpStreams).length > 0) {
+                logger.info(`⚡ ${source} resolved over HTTP: ${Object.keys(httpStreams).join(', ')}`);
+                recordPath(source, 'http');
+                if (recorder) recorder.path('http');
+                if (progressCollector) progressCollector.add(httpStreams);
+                return provider.postProcess(httpStreams, { type, id: imdbId, season, episode });
+            }
+            logger.info(`🌐 ${source} HTTP resolver found nothing, falling back to the browser`);
+        } catch (httpError) {
+            logger.warn(`🌐 ${source} HTTP resolver failed (${httpError.message}), falling back to the browser`);
+        }
+        recordPath(source, 'httpFallback');
+        if (recorder) recorder.mark('httpFallback');
+    }
+
+    const streamUrls = {};
+    const { wait } = provider;
+
+    // ✅ Borrow an isolated page from the shared pool instead of launching Chrome
+    const lease = await browserPool.acquire({ priority: options.priority });
+    const { page } = lease;
     
-    await page.setUserAgent(randomUserAgent());
-    await page.setRequestInterception(true);
+    try {
+        await page.setUserAgent(randomUserAgent());
+        await page.setRequestInterception(true);
 
-    await page.evaluateOnNewDocument(() => {
-        window.open = () => null;
-    });
+        await page.evaluateOnNewDocument(() => {
+            window.open = () => null;
+        });
+    } catch (setupError) {
+        await lease.release();
+        throw setupError;
+    }
 
     page.on('dialog', async dialog => {
         await dialog.accept();
     });
+    if (recorder) {
+        page.on('response', response => recorder.response(response));
+        page.on('requestfailed', request => recorder.failed(request));
+    }
 
     const detectedStreams = [];
+    const detectedSubtitles = [];
+    const pendingHeaders = [];
     const processedUrls = new Set();
 
     // ✅ REAL-TIME request handler - process M3U8 IMMEDIATELY
     page.on('request', async request => {
         const requestUrl = request.url();
         
-        if (
-            requestUrl.includes('analytics') ||
-            requestUrl.includes('ads') ||
-            requestUrl.includes('social') ||
-            requestUrl.includes('disable-devtool') ||
-            requestUrl.includes('cloudflareinsights') ||
-            requestUrl.includes('ainouzaudre') ||
-            requestUrl.includes('pixel.embed') ||
-            requestUrl.includes('histats')
-        ) {
+        if (isBlocked(provider, requestUrl)) {
+            if (recorder) recorder.request(request, 'blocked');
             await request.abort();
+        } else if (provider.matchSubtitle(requestUrl) && !processedUrls.has(requestUrl)) {
+            if (recorder) recorder.request(request, 'subtitle');
+            logger.info(`💬 ${source} subtitle DETECTED: ${requestUrl.substring(0, 80)}...`);
+            processedUrls.add(requestUrl);
+            detectedSubtitles.push(captureHeaders(request, page).then(headers => (
+                { url: requestUrl, lang: inferLanguage(requestUrl), headers }
+            )));
+            await request.continue();
         } else if (
-            (requestUrl.includes('.mp4') || requestUrl.includes('.m3u8') || requestUrl.includes('/mp4') || requestUrl.includes('kendrickl')) && 
-            !(requestUrl.includes('vidjoy')) &&
+            provider.matchRequest(requestUrl) &&
+            !provider.ignoreRequest(requestUrl) &&
             !processedUrls.has(requestUrl)
         ) {
+            if (recorder) {
+                recorder.request(request, 'stream');
+                recorder.mark('firstStream');
+            }
             logger.info(`🎯 ${source} stream DETECTED: ${requestUrl.substring(0, 80)}...`);
+            metrics.streamsDetected.inc({ provider: source });
             detectedStreams.push(requestUrl);
             processedUrls.add(requestUrl);
+            const headersReady = captureHeaders(request, page);
+            pendingHeaders.push(headersReady);
 
-            // ✅ IMMEDIATE PROCESSING - Parse M3U8 right now!
-            if (requestUrl.includes('.m3u8')) {
+            if (!requestUrl.includes('.m3u8')) {
+                // Recorded as soon as its headers are in; the wait below holds for them
+                headersReady.then(headers => {
+                    const directStream = { [`${source} Link`]: { url: requestUrl, headers } };
+                    Object.assign(streamUrls, directStream);
+                    if (progressCollector) {
+                        progressCollector.add(directStream);
+                    }
+                    logger.info(`✅ IMMEDIATE: Direct video stream for ${source}`);
+                });
+            } else {
+                // ✅ IMMEDIATE PROCESSING - Parse M3U8 right now!
                 setImmediate(async () => {
+                    const headers = await headersReady;
+
                     try {
                         logger.info(`⚡ IMMEDIATE parsing M3U8 for ${source}`);
-                        const parsedStreams = await parseM3U8PlaylistImmediate(requestUrl, source);
+                        const parsedStreams = await parseM3U8PlaylistImmediate(requestUrl, source, headers, streamUrls);
                         
                         Object.assign(streamUrls, parsedStreams);
                         
@@ -202,82 +290,101 @@ async function runExtractor(source, type, imdbId, season = null, episode = null,
                         
                     } catch (parseError) {
                         logger.error(`❌ IMMEDIATE M3U8 parse failed for ${source}: ${parseError.message}`);
-                        const fallbackStream = { [`${source} Link`]: requestUrl };
+                        const fallbackStream = { [`${source} Link`]: { url: requestUrl, headers } };
                         Object.assign(streamUrls, fallbackStream);
                         if (progressCollector) {
                             progressCollector.add(fallbackStream);
                         }
                     }
                 });
-            } else {
-                const directStream = { [`${source} Link`]: requestUrl };
-                Object.assign(streamUrls, directStream);
-                if (progressCollector) {
-                    progressCollector.add(directStream);
-                }
-                logger.info(`✅ IMMEDIATE: Direct video stream for ${source}`);
             }
             
             await request.continue();
         } else {
+            if (recorder) recorder.request(request, 'continued');
             await request.continue();
         }
     });
 
     try {
-        logger.info(`🌐 Navigating to ${url}`);
-        
-        // ✅ UNIFORM 20-second timeout for ALL providers - No special handling
-        await page.goto(url, { 
-            waitUntil: 'networkidle2', 
-            timeout: 20000  // 20 seconds for ALL providers
+        await withMirrors(provider, source, async baseUrl => {
+            const url = provider.url({ baseUrl, type, id, season, episode });
+            logger.info(`🌐 Navigating to ${url}`);
+
+            const response = await page.goto(url, {
+                waitUntil: wait.waitUntil,
+                timeout: wait.pageTimeout
+            });
+            if (response) checkMirrorStatus(response.status(), baseUrl);
         });
 
+        if (recorder) recorder.mark('pageLoaded');
         logger.info(`📄 ${source} Player page loaded`);
-
-        // ✅ NO SPECIAL PROVIDER HANDLING - Just wait for stream URLs
         logger.info(`⏳ ${source} Waiting for stream URLs...`);
 
-        // ✅ Wait for streams with uniform timeout
+        // ✅ Wait for streams using the provider's wait conditions
         const foundUrls = new Promise(resolve => {
             const interval = setInterval(() => {
-                if (detectedStreams.length > 0) {
+                if (detectedStreams.length >= wait.minStreams) {
                     clearInterval(interval);
                     resolve(true);
                 }
             }, 200);
             
-            // Auto-resolve after 15 seconds of waiting
             setTimeout(() => {
                 clearInterval(interval);
                 resolve(false);
-            }, 15000);
+            }, wait.streamTimeout);
         });
         
         await foundUrls;
+        // Direct streams are only recorded once their headers are captured
+        await Promise.all(pendingHeaders);
 
+        // The page played nothing: the title may just not be there, so this is an
+        // empty result for provider health, not a failure
         if (Object.keys(streamUrls).length === 0) {
-            throw new Error('No stream URL found');
+            logger.warn(`⚠️ ${source} found no stream URL`);
+            return streamUrls;
         }
 
         logger.info(`✅ ${source} COMPLETED: ${Object.keys(streamUrls).join(', ')}`);
-        return streamUrls;
+        recordPath(source, 'browser');
+        if (recorder) recorder.path('browser');
+        return provider.postProcess(streamUrls, { type, id: imdbId, season, episode });
 
     } catch (err) {
         if (Object.keys(streamUrls).length > 0) {
             logger.info(`⚠️ ${source} partial success: ${Object.keys(streamUrls).join(', ')}`);
-        } else {
-            logger.error(`❌ ${source} extraction failed: ${err.message}`);
+            recordPath(source, 'browser');
+            if (recorder) recorder.path('browser');
+            return provider.postProcess(streamUrls, { type, id: imdbId, season, episode });
         }
-        return streamUrls;
+        // Navigation and page errors reach the caller, so the breaker counts them as failures
+        logger.error(`❌ ${source} extraction failed: ${err.message}`);
+        throw err;
     } finally {
+        // ✅ Title-level subtitles go to the collector; HLS ones already ride on their streams
+        if (progressCollector && progressCollector.addSubtitles && detectedSubtitles.length > 0) {
+            progressCollector.addSubtitles(await Promise.all(detectedSubtitles));
+        }
+        if (recorder) recorder.mark('total');
+        if (options.debug && options.debug.screenshotPath) {
+            try {
+                await page.screenshot({ path: options.debug.screenshotPath, fullPage: true });
+                options.debug.screenshot = options.debug.screenshotPath;
+            } catch (screenshotError) {
+                logger.warn(`⚠️ ${source} screenshot failed: ${screenshotError.message}`);
+            }
+        }
         try {
             processedUrls.clear();
-            await browser.close();
+            await lease.release();
         } catch (closeError) {
-            logger.warn(`⚠️ Error closing ${source} browser: ${closeError.message}`);
+            logger.warn(`⚠️ Error releasing ${source} browser: ${closeError.message}`);
         }
     }
 }
 
 module.exports = runExtractor;
+module.exports.parseM3U8PlaylistImmediate = parseM3U8PlaylistImmediate;
@@ -0,0 +1,68 @@
+//user-config.js - PER-USER SETTINGS CARRIED IN THE INSTALL URL
+// Stremio's configure page posts the form as JSON into the install URL
+// (/<config>/manifest.json) and hands it back to every handler as `config`.
+const QUALITY_LEVELS = ['360p', '480p', '720p', '1080p', '1440p', '2160p'];
+const QUALITY_OPTIONS = ['Any', ...QUALITY_LEVELS];
+const LANGUAGE_OPTIONS = { Any: null, English: 'en', Hindi: 'hi' };
+
+function providerKey(name) {
+    return `provider_${name}`;
+}
+
+// ✅ Manifest `config` entries rendered by the SDK configure page
+function configFields(sourceNames) {
+    return [
+        ...sourceNames.map(name => ({
+            key: providerKey(name),
+            type: 'checkbox',
+            title: `Use ${name}`,
+            default: 'checked'
+        })),
+        { key: 'minQuality', type: 'select', title: 'Minimum quality', options: QUALITY_OPTIONS, default: 'Any' },
+        { key: 'maxQuality', type: 'select', title: 'Maximum quality', options: QUALITY_OPTIONS, default: 'Any' },
+        { key: 'language', type: 'select', title: 'Preferred language', options: Object.keys(LANGUAGE_OPTIONS), default: 'Any' },
+        { key: 'maxResults', type: 'number', title: 'Max results (0 = unlimited)', default: '0' }
+    ];
+}
+
+// Index into QUALITY_LEVELS, or -1 when the stream name carries no quality
+function qualityRank(name) {
+    return QUALITY_LEVELS.findIndex(level => name.includes(level));
+}
+
+function parseQuality(value, fallback) {
+    const index = QUALITY_LEVELS.indexOf(value);
+    return index === -1 ? fallback : index;
+}
+
+// ✅ Normalise whatever came in the URL. No config at all means defaults for everything.
+function parseUserConfig(config, sourceNames) {
+    const hasConfig = config && typeof config === 'object';
+
+    // The configure form omits unchecked checkboxes, so a missing key means "off"
+    const providers = hasConfig
+        ? sourceNames.filter(name => config[providerKey(name)])
+        : [...sourceNames];
+
+    let minQuality = hasConfig ? parseQuality(config.minQuality, 0) : 0;
+    let maxQuality = hasConfig ? parseQuality(config.maxQuality, QUALITY_LEVELS.length - 1) : QUALITY_LEVELS.length - 1;
+    if (minQuality > maxQuality) [minQuality, maxQuality] = [maxQuality, minQuality];
+
+    const maxResults = hasConfig ? parseInt(config.maxResults, 10) : 0;
+
+    return {
+        providers: providers.length > 0 ? providers : [...sourceNames],
+        allProviders: providers.length === 0 || providers.length === sourceNames.length,
+        minQuality,
+        maxQuality,
+        language: hasConfig ? LANGUAGE_OPTIONS[config.language] || null : null,
+        maxResults: maxResults > 0 ? maxResults : 0
+    };
+}
+
+module.exports = {
+    configFields,
+    parseUserConfig,
+    qualityRank,
+    QUALITY_LEVELS
+};